@@ -0,0 +1,614 @@
+/* board_connectivity.js
+ * Copper connectivity worked out from geometry alone: traces, arcs, via barrels
+ * and pads that touch are joined into islands, whatever net_index the file
+ * stores on them. Comparing the islands with the stored netlist finds shorts
+ * (copper of two nets touching), opens (one net split over several islands)
+ * and items whose stored net disagrees with the copper they sit on.
+ * Loaded as a plain <script> after pcb_parser.js it defines browser globals
+ * (boardview.html); under Node it exports via module.exports.
+ */
+
+// The parser's globals in the browser, its exports under Node
+const pcbConnectivityModel = (typeof module !== 'undefined' && module.exports)
+  ? require('./pcb_parser.js')
+  : { COPPER_BOTTOM_LAYER, COPPER_TOP_LAYER, RAW_UNITS_PER_MIL, findFoldAxis, toNetIndexMap };
+
+// 50 mil spatial index cells, raw units
+const CONNECTIVITY_CELL = 50 * pcbConnectivityModel.RAW_UNITS_PER_MIL;
+// 1 mil: copper must overlap this much to join, so via and pad sizes rounded in the
+// file that graze a trace aren't shorts
+const CONNECTIVITY_OVERLAP = pcbConnectivityModel.RAW_UNITS_PER_MIL;
+const CONNECTIVITY_ARC_STEP = 15;     // degrees per chord when an arc is tested as a polyline
+
+// --- Geometry. Shapes are capsules { a, b, r } (traces, arcs, round pads, vias)
+// or rectangles { x, y, hw, hh, cos, sin } (rectangular pads) ---
+
+function closestOnSegment(p, a, b) {
+  const dx = b[0] - a[0], dy = b[1] - a[1];
+  const l2 = dx * dx + dy * dy;
+  const t = l2 === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / l2));
+  return [a[0] + t * dx, a[1] + t * dy];
+}
+
+function segmentsCross(a, b, c, d) {
+  const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+  const d1 = cross(c, d, a), d2 = cross(c, d, b), d3 = cross(a, b, c), d4 = cross(a, b, d);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+// Distance between segments ab and cd, with the midpoint of the closest pair
+function segmentDistance(a, b, c, d) {
+  if (segmentsCross(a, b, c, d)) {
+    const p = closestOnSegment(a, c, d);
+    return { distance: 0, at: [(a[0] + p[0]) / 2, (a[1] + p[1]) / 2] };
+  }
+  let best = null;
+  for (const [p, from, to] of [[a, c, d], [b, c, d], [c, a, b], [d, a, b]]) {
+    const q = closestOnSegment(p, from, to);
+    const distance = Math.hypot(p[0] - q[0], p[1] - q[1]);
+    if (!best || distance < best.distance) best = { distance, at: [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2] };
+  }
+  return best;
+}
+
+// Distance from segment ab (in the rectangle's own frame) to the rectangle
+function segmentToRect(a, b, hw, hh) {
+  const inside = p => Math.abs(p[0]) <= hw && Math.abs(p[1]) <= hh;
+  if (inside(a) || inside(b)) return 0;
+  const corners = [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]];
+  let best = Infinity;
+  for (let i = 0; i < 4; i++) {
+    best = Math.min(best, segmentDistance(a, b, corners[i], corners[(i + 1) % 4]).distance);
+  }
+  return best;
+}
+
+function toRectFrame(rect, p) {
+  const dx = p[0] - rect.x, dy = p[1] - rect.y;
+  return [dx * rect.cos + dy * rect.sin, -dx * rect.sin + dy * rect.cos];
+}
+
+function rectCorners(rect) {
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+    const px = sx * rect.hw, py = sy * rect.hh;
+    return [rect.x + px * rect.cos - py * rect.sin, rect.y + px * rect.sin + py * rect.cos];
+  });
+}
+
+// Largest center distance at which shapes reaching `sum` past their cores still join
+function joinDistance(sum) {
+  return sum - Math.min(CONNECTIVITY_OVERLAP, sum);
+}
+
+// Where two shapes join, or null when they are apart
+function shapesTouch(s, t) {
+  if (s.r === undefined && t.r !== undefined) return shapesTouch(t, s);
+  if (t.r !== undefined) {
+    const { distance, at } = segmentDistance(s.a, s.b, t.a, t.b);
+    return distance <= joinDistance(s.r + t.r) ? at : null;
+  }
+  const center = [t.x, t.y];
+  if (s.r !== undefined) {
+    const distance = segmentToRect(toRectFrame(t, s.a), toRectFrame(t, s.b), t.hw, t.hh);
+    return distance <= joinDistance(s.r) ? center : null;
+  }
+  // Rectangle against rectangle: any edge of one reaching the other, or one holding the other's center
+  const corners = rectCorners(s);
+  for (let i = 0; i < 4; i++) {
+    const a = toRectFrame(t, corners[i]), b = toRectFrame(t, corners[(i + 1) % 4]);
+    if (segmentToRect(a, b, t.hw, t.hh) === 0) return center;
+  }
+  const [cx, cy] = toRectFrame(s, center);
+  return Math.abs(cx) <= s.hw && Math.abs(cy) <= s.hh ? center : null;
+}
+
+function shapeBounds(shape) {
+  if (shape.r !== undefined) {
+    const r = shape.r;
+    return [Math.min(shape.a[0], shape.b[0]) - r, Math.min(shape.a[1], shape.b[1]) - r,
+      Math.max(shape.a[0], shape.b[0]) + r, Math.max(shape.a[1], shape.b[1]) + r];
+  }
+  const corners = rectCorners(shape);
+  const xs = corners.map(p => p[0]), ys = corners.map(p => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+// A pin or test pad's copper: round pads as capsules along their long side, the rest as rectangles
+function padShape(pad, x, y, angleDegrees) {
+  const outline = (pad.outlines && pad.outlines[0]) || pad;
+  const width = outline.width || pad.width || 0;
+  const height = outline.height || pad.height || 0;
+  const angle = angleDegrees * Math.PI / 180;
+  const cos = Math.cos(angle), sin = Math.sin(angle);
+  if ((outline.shape ?? pad.shape) === 1) {
+    const half = Math.abs(width - height) / 2;
+    const [dx, dy] = width > height ? [half * cos, half * sin] : [-half * sin, half * cos];
+    return { a: [x - dx, y - dy], b: [x + dx, y + dy], r: Math.min(width, height) / 2 };
+  }
+  return { x, y, hw: width / 2, hh: height / 2, cos, sin };
+}
+
+class UnionFind {
+  constructor(size) {
+    this.parent = new Int32Array(size).map((_, i) => i);
+  }
+
+  find(i) {
+    while (this.parent[i] !== i) {
+      this.parent[i] = this.parent[this.parent[i]];
+      i = this.parent[i];
+    }
+    return i;
+  }
+
+  union(i, j) {
+    const a = this.find(i), b = this.find(j);
+    if (a !== b) this.parent[Math.max(a, b)] = Math.min(a, b);
+  }
+}
+
+/**
+ * @typedef {Object} CopperFeature
+ * @property {'segment'|'arc'|'via'|'pin'|'testPad'} kind
+ * @property {number} block - index into main_data_blocks
+ * @property {number} [pinIndex] - pins: index among the part's pins
+ * @property {string} [part] - pins: part name
+ * @property {string} [pin] - pins: pin name
+ * @property {number[]} layers - copper layers the feature is on
+ * @property {number} net - stored net_index, 0 when none
+ * @property {number} island - index into islands
+ * @property {number} x - anchor in file coordinates (pad/via center, trace start)
+ * @property {number} y
+ *
+ * @typedef {Object} ConnectivityReport
+ * @property {CopperFeature[]} features
+ * @property {{net: number, features: number[]}[]} islands - net is the island's
+ *   geometric net: the one stored net on its pads, else on its copper, 0 when none or several
+ * @property {{nets: number[], contacts: {x: number, y: number, layer: number, features: number[]}[]}[]} shorts
+ * @property {{net: number, islands: number[]}[]} opens - stored nets spread over several islands
+ * @property {number[]} mismatches - features whose stored net differs from their island's net
+ * @property {Map<number, string>} nets
+ * @property {Object} graph - touching pairs and geometry in the unfolded frame, for traceCopperPath
+ */
+
+/**
+ * Build copper islands for a board and check them against its netlist.
+ * The two halves of an XZZPCB file are the board seen from each side, and
+ * inner layers sit on either half, so bottom-half items are mirrored across
+ * the fold axis (findFoldAxis) first. Vias join every layer from
+ * layer_a_index to layer_b_index, drilled pads every copper layer, and SMD
+ * pads and test pads the outer layer of their side. XZZPCB files carry no
+ * plane or pour copper, so nets joined through a plane show up as opens.
+ * @param {ParsedPCB} pcbData - parser output or normalizePcbData() JSON, unfolded
+ * @returns {ConnectivityReport}
+ */
+function analyzeConnectivity(pcbData) {
+  const { COPPER_BOTTOM_LAYER, COPPER_TOP_LAYER } = pcbConnectivityModel;
+  const blocks = pcbData.main_data_blocks || [];
+  const nets = pcbConnectivityModel.toNetIndexMap(pcbData.net_index_to_name);
+  const foldAxis = pcbConnectivityModel.findFoldAxis(blocks);
+
+  const isTopSide = x => foldAxis === null || x > foldAxis;
+  const unfold = (x, y, top) => [top ? x : 2 * foldAxis - x, y];
+  const isCopper = layer => layer >= COPPER_BOTTOM_LAYER && layer <= COPPER_TOP_LAYER;
+  const allLayers = [];
+  for (let layer = COPPER_BOTTOM_LAYER; layer <= COPPER_TOP_LAYER; layer++) allLayers.push(layer);
+  const sideLayer = top => [top ? COPPER_TOP_LAYER : COPPER_BOTTOM_LAYER];
+
+  const features = [];
+  const shapes = [];       // per feature, a list of shapes in the unfolded frame
+  const tops = [];         // per feature, whether it lies on the top half
+  const arcs = [];         // per arc feature, its unfolded center and radius, for lengths along it
+  const add = (feature, featureShapes, top, arcInfo = null) => {
+    features.push({ ...feature, island: -1 });
+    shapes.push(featureShapes);
+    tops.push(top);
+    arcs.push(arcInfo);
+  };
+
+  blocks.forEach((block, index) => {
+    const { SEGMENT: segment, ARC: arc, VIA: via, TEST_PAD: pad } = block;
+    if (segment && isCopper(segment.layer)) {
+      const top = isTopSide((segment.x1 + segment.x2) / 2);
+      add({ kind: 'segment', block: index, layers: [segment.layer], net: segment.net_index || 0, x: segment.x1, y: segment.y1 },
+        [{ a: unfold(segment.x1, segment.y1, top), b: unfold(segment.x2, segment.y2, top), r: (segment.scale || 0) / 2 }], top);
+    } else if (arc && isCopper(arc.layer)) {
+      const top = isTopSide(arc.x1);
+      const start = arc.angle_start / 10000;
+      let sweep = arc.angle_end / 10000 - start;
+      if (sweep <= 0) sweep += 360;
+      const steps = Math.max(1, Math.ceil(sweep / CONNECTIVITY_ARC_STEP));
+      const points = [];
+      for (let i = 0; i <= steps; i++) {
+        const angle = (start + sweep * i / steps) * Math.PI / 180;
+        points.push(unfold(arc.x1 + arc.r * Math.cos(angle), arc.y1 + arc.r * Math.sin(angle), top));
+      }
+      const chords = points.slice(1).map((point, i) => ({ a: points[i], b: point, r: (arc.scale || 0) / 2 }));
+      const [cx, cy] = unfold(arc.x1, arc.y1, top);
+      add({ kind: 'arc', block: index, layers: [arc.layer], net: arc.net_index || 0, x: arc.x1, y: arc.y1 }, chords, top,
+        { cx, cy, r: arc.r });
+    } else if (via) {
+      const top = isTopSide(via.x);
+      const low = Math.min(via.layer_a_index, via.layer_b_index), high = Math.max(via.layer_a_index, via.layer_b_index);
+      const center = unfold(via.x, via.y, top);
+      add({ kind: 'via', block: index, layers: allLayers.filter(layer => layer >= low && layer <= high),
+        net: via.net_index || 0, x: via.x, y: via.y }, [{ a: center, b: center, r: via.outer_radius }], top);
+    } else if (pad) {
+      const top = isTopSide(pad.x);
+      const [x, y] = unfold(pad.x, pad.y, top);
+      add({ kind: 'testPad', block: index, layers: pad.inner_diameter > 0 ? allLayers : sideLayer(top),
+        net: pad.net_index || 0, x: pad.x, y: pad.y }, [padShape(pad, x, y, (top ? 1 : -1) * (pad.rotation || 0) / 10000)], top);
+    }
+
+    const partData = block.DATA && block.DATA.parsed_data;
+    if (!partData || !partData.header) return;
+    const top = isTopSide(partData.header.part_x);
+    const label = (partData.sub_blocks || []).find(sub => sub.type === 'sub_type_06' && sub.label);
+    const pins = (partData.sub_blocks || []).filter(sub => sub.type === 'sub_type_09').flatMap(sub => sub.pins);
+    pins.forEach((pin, pinIndex) => {
+      const [x, y] = unfold(pin.x, pin.y, top);
+      add({
+        kind: 'pin', block: index, pinIndex, part: label ? label.label : '', pin: pin.name || String(pinIndex + 1),
+        layers: pin.inner_diameter > 0 ? allLayers : sideLayer(top), net: pin.net_index || 0, x: pin.x, y: pin.y
+      }, [padShape(pin, x, y, (top ? 1 : -1) * (pin.rotation || 0) / 10000)], top);
+    });
+  });
+
+  // Spatial index: per layer, grid cell -> features whose bounds reach it
+  const grids = new Map(allLayers.map(layer => [layer, new Map()]));
+  const cellsOf = features.map((feature, i) => {
+    const cells = new Set();
+    for (const shape of shapes[i]) {
+      const [x1, y1, x2, y2] = shapeBounds(shape);
+      for (let cx = Math.floor(x1 / CONNECTIVITY_CELL); cx <= Math.floor(x2 / CONNECTIVITY_CELL); cx++) {
+        for (let cy = Math.floor(y1 / CONNECTIVITY_CELL); cy <= Math.floor(y2 / CONNECTIVITY_CELL); cy++) {
+          cells.add(`${cx},${cy}`);
+        }
+      }
+    }
+    for (const layer of feature.layers) {
+      const grid = grids.get(layer);
+      for (const cell of cells) {
+        if (!grid.has(cell)) grid.set(cell, []);
+        grid.get(cell).push(i);
+      }
+    }
+    return cells;
+  });
+
+  const isPad = feature => feature.kind === 'pin' || feature.kind === 'testPad';
+  const unionFind = new UnionFind(features.length);
+  const contacts = [];     // { at, features: [i, j] } for every touching pair, at in the unfolded frame
+  const links = features.map(() => []);  // per feature, indexes into contacts
+  const shortsByPair = new Map();
+  const testedWith = new Int32Array(features.length).fill(-1);
+  features.forEach((feature, i) => {
+    for (const layer of feature.layers) {
+      const grid = grids.get(layer);
+      for (const cell of cellsOf[i]) {
+        for (const j of grid.get(cell)) {
+          if (j <= i || testedWith[j] === i) continue;
+          testedWith[j] = i;
+          // Boardview pad sizes are approximate and neighbouring pads often overlap,
+          // so pads only join through traces and vias
+          if (isPad(feature) && isPad(features[j])) continue;
+
+          let at = null;
+          for (const s of shapes[i]) {
+            for (const t of shapes[j]) if ((at = shapesTouch(s, t))) break;
+            if (at) break;
+          }
+          if (!at) continue;
+          unionFind.union(i, j);
+          links[i].push(contacts.length);
+          links[j].push(contacts.length);
+          contacts.push({ at, features: [i, j] });
+
+          const other = features[j];
+          if (feature.net && other.net && feature.net !== other.net) {
+            const pair = [feature.net, other.net].sort((a, b) => a - b);
+            const key = pair.join(':');
+            if (!shortsByPair.has(key)) shortsByPair.set(key, { nets: pair, contacts: [] });
+            const [x, y] = unfold(at[0], at[1], tops[i]);
+            const sharedLayer = feature.layers.find(l => other.layers.includes(l));
+            shortsByPair.get(key).contacts.push({ x, y, layer: sharedLayer, features: [i, j] });
+          }
+        }
+      }
+    }
+  });
+
+  // Islands, numbered in order of their first feature
+  const islands = [];
+  const islandOfRoot = new Map();
+  features.forEach((feature, i) => {
+    const root = unionFind.find(i);
+    if (!islandOfRoot.has(root)) {
+      islandOfRoot.set(root, islands.length);
+      islands.push({ net: 0, features: [] });
+    }
+    feature.island = islandOfRoot.get(root);
+    islands[feature.island].features.push(i);
+  });
+
+  // An island's net: pads are the netlist, so their nets win over trace and via nets
+  const singleNet = list => {
+    const found = new Set(list.map(i => features[i].net).filter(Boolean));
+    return found.size === 1 ? [...found][0] : found.size === 0 ? null : 0;
+  };
+  for (const island of islands) {
+    const pads = island.features.filter(i => isPad(features[i]));
+    const padNet = singleNet(pads);
+    island.net = padNet !== null ? padNet : (singleNet(island.features) || 0);
+  }
+
+  const islandsOfNet = new Map();
+  islands.forEach((island, index) => {
+    for (const net of new Set(island.features.map(i => features[i].net).filter(Boolean))) {
+      if (!islandsOfNet.has(net)) islandsOfNet.set(net, []);
+      islandsOfNet.get(net).push(index);
+    }
+  });
+  // Pins on a net named NC are no-connects, not one net waiting for copper
+  const opens = [...islandsOfNet]
+    .filter(([net, netIslands]) => netIslands.length > 1 && nets.get(net) !== 'NC')
+    .map(([net, netIslands]) => ({ net, islands: netIslands }))
+    .sort((a, b) => b.islands.length - a.islands.length || a.net - b.net);
+
+  const mismatches = [];
+  features.forEach((feature, i) => {
+    const net = islands[feature.island].net;
+    if (net && feature.net !== net) mismatches.push(i);
+  });
+
+  return {
+    features,
+    islands,
+    shorts: [...shortsByPair.values()].sort((a, b) => b.contacts.length - a.contacts.length),
+    opens,
+    mismatches,
+    nets,
+    graph: { contacts, links, arcs, tops, foldAxis }
+  };
+}
+
+/**
+ * A copy of the board with the net_index of every trace, arc, via, test pad
+ * and pin replaced by its island's net where the island has one, so net
+ * highlighting follows the copper. Items on islands without a net, or with
+ * several, keep their stored net. The input is left untouched.
+ * @param {ParsedPCB} pcbData
+ * @param {ConnectivityReport} report - analyzeConnectivity(pcbData)
+ * @returns {ParsedPCB}
+ */
+function withGeometricNets(pcbData, report) {
+  const blocks = (pcbData.main_data_blocks || []).slice();
+  const pinNets = new Map(); // block index -> Map(pin index -> net)
+
+  for (const index of report.mismatches) {
+    const feature = report.features[index];
+    const net = report.islands[feature.island].net;
+    if (feature.kind === 'pin') {
+      if (!pinNets.has(feature.block)) pinNets.set(feature.block, new Map());
+      pinNets.get(feature.block).set(feature.pinIndex, net);
+      continue;
+    }
+    const key = { segment: 'SEGMENT', arc: 'ARC', via: 'VIA', testPad: 'TEST_PAD' }[feature.kind];
+    blocks[feature.block] = { [key]: { ...blocks[feature.block][key], net_index: net } };
+  }
+
+  for (const [index, nets] of pinNets) {
+    const { DATA: data } = blocks[index];
+    let pinIndex = 0;
+    const subBlocks = data.parsed_data.sub_blocks.map(sub => {
+      if (sub.type !== 'sub_type_09') return sub;
+      const pins = sub.pins.map(pin => {
+        const net = nets.get(pinIndex++);
+        return net === undefined ? pin : { ...pin, net_index: net };
+      });
+      return { ...sub, pins };
+    });
+    blocks[index] = { DATA: { ...data, parsed_data: { ...data.parsed_data, sub_blocks: subBlocks } } };
+  }
+
+  return { ...pcbData, main_data_blocks: blocks };
+}
+
+
+// --- Point-to-point routes ---
+
+// Binary heap of [cost, value] pairs, cheapest first
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(cost, value) {
+    const items = this.items;
+    items.push([cost, value]);
+    for (let i = items.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      for (let i = 0; ;) {
+        const left = 2 * i + 1, right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Index of a part pin in a connectivity report's features, -1 when the board has no such pin.
+ * @param {ConnectivityReport} report
+ * @param {string} part
+ * @param {string} pin
+ * @returns {number}
+ */
+function findPinFeature(report, part, pin) {
+  return report.features.findIndex(feature => feature.kind === 'pin' && feature.part === part && feature.pin === pin);
+}
+
+/**
+ * @typedef {Object} CopperPath
+ * @property {boolean} found
+ * @property {number} length - raw units of trace and arc copper along the route
+ * @property {number[]} features - feature indexes from the first pad to the last
+ * @property {Object[]} hops - in route order:
+ *   { type: 'pad', feature, x, y }
+ *   { type: 'trace', layer, length, features }
+ *   { type: 'via', feature, from, to, x, y } - from/to are the layers entered and left
+ * @property {{feature: number, x: number, y: number, distance: number}|null} deadEnd - when
+ *   no route exists: the reached copper closest to the target pad, with its distance to it
+ */
+
+/**
+ * Shortest copper route between two pads (or any two features) of a report,
+ * walking the same touching pairs the islands are built from: along traces
+ * and arcs layer by layer, and through vias across their layer span. Lengths
+ * run between the points where items touch, so a trace joined part way along
+ * only counts up to the joint. x/y are file coordinates.
+ * @param {ConnectivityReport} report - analyzeConnectivity() output
+ * @param {number} from - feature index of the start, usually findPinFeature()
+ * @param {number} to - feature index of the end
+ * @returns {CopperPath}
+ */
+function traceCopperPath(report, from, to) {
+  const { features } = report;
+  const { contacts, links, arcs, tops, foldAxis } = report.graph;
+  // Mirroring across the fold is its own inverse: file <-> unfolded frame
+  const flip = ([x, y], top) => [top || foldAxis === null ? x : 2 * foldAxis - x, y];
+  const anchor = index => flip([features[index].x, features[index].y], tops[index]);
+
+  // Copper length between two points on one feature; pads and vias cost nothing to cross
+  const along = (index, a, b) => {
+    const { kind } = features[index];
+    if (kind === 'segment') return Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (kind !== 'arc') return 0;
+    const { cx, cy, r } = arcs[index];
+    let sweep = Math.abs(Math.atan2(b[1] - cy, b[0] - cx) - Math.atan2(a[1] - cy, a[0] - cx));
+    if (sweep > Math.PI) sweep = 2 * Math.PI - sweep;
+    return r * sweep;
+  };
+
+  // Dijkstra over the touching points; the start is the first feature's anchor
+  const start = contacts.length;
+  const pointOf = node => node === start ? anchor(from) : contacts[node].at;
+  const cost = new Map([[start, 0]]);
+  const previous = new Map();   // node -> [previous node, feature walked between them]
+  const heap = new MinHeap();
+  heap.push(0, start);
+  let end = null;
+  while (heap.size > 0) {
+    const [nodeCost, node] = heap.pop();
+    if (nodeCost > cost.get(node)) continue;
+    const onFeatures = node === start ? [from] : contacts[node].features;
+    if (onFeatures.includes(to)) {
+      end = node;
+      break;
+    }
+    for (const feature of onFeatures) {
+      for (const next of links[feature]) {
+        if (next === node) continue;
+        const nextCost = nodeCost + along(feature, pointOf(node), pointOf(next));
+        if (nextCost < (cost.get(next) ?? Infinity)) {
+          cost.set(next, nextCost);
+          previous.set(next, [node, feature]);
+          heap.push(nextCost, next);
+        }
+      }
+    }
+  }
+
+  if (end === null) {
+    // Dead end: the reached touching point nearest the target, on the item the search stopped at
+    const [tx, ty] = anchor(to);
+    let deadEnd = null;
+    for (const node of cost.keys()) {
+      const [px, py] = pointOf(node);
+      const distance = Math.hypot(px - tx, py - ty);
+      if (deadEnd && distance >= deadEnd.distance) continue;
+      const feature = node === start ? from : contacts[node].features.find(i => i !== previous.get(node)[1]);
+      const [x, y] = flip([px, py], tops[feature]);
+      deadEnd = { feature, x, y, distance };
+    }
+    return { found: false, length: 0, features: [], hops: [], deadEnd };
+  }
+
+  // Walk back to the start: each step crosses one feature between two points
+  const steps = [];
+  for (let node = end; node !== start;) {
+    const [prev, feature] = previous.get(node);
+    steps.unshift({ feature, length: along(feature, pointOf(prev), pointOf(node)) });
+    node = prev;
+  }
+  const route = [...steps.map(step => step.feature), to];
+  const lengths = [...steps.map(step => step.length), 0];
+
+  const hops = [];
+  const layerBefore = i => {
+    for (let j = i - 1; j >= 0; j--) if (features[route[j]].layers.length === 1) return features[route[j]].layers[0];
+    return null;
+  };
+  const layerAfter = i => {
+    for (let j = i + 1; j < route.length; j++) if (features[route[j]].layers.length === 1) return features[route[j]].layers[0];
+    return null;
+  };
+  route.forEach((index, i) => {
+    const feature = features[index];
+    const { x, y } = feature;
+    if (feature.kind === 'segment' || feature.kind === 'arc') {
+      const last = hops[hops.length - 1];
+      if (last && last.type === 'trace' && last.layer === feature.layers[0]) {
+        last.length += lengths[i];
+        last.features.push(index);
+      } else {
+        hops.push({ type: 'trace', layer: feature.layers[0], length: lengths[i], features: [index] });
+      }
+    } else if (feature.kind === 'via') {
+      hops.push({ type: 'via', feature: index, from: layerBefore(i), to: layerAfter(i), x, y });
+    } else {
+      hops.push({ type: 'pad', feature: index, x, y });
+    }
+  });
+
+  return {
+    found: true,
+    length: lengths.reduce((sum, length) => sum + length, 0),
+    features: route,
+    hops,
+    deadEnd: null
+  };
+}
+
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONNECTIVITY_OVERLAP,
+    analyzeConnectivity,
+    withGeometricNets,
+    findPinFeature,
+    traceCopperPath
+  };
+}
@@ -0,0 +1,699 @@
+/* board_export.js
+ * Writes the ParsedPCB model from pcb_parser.js out in other boardview and CAD
+ * formats (OpenBoardView BRD2, GenCAD 1.4), as netlists (IPC-D-356, CSV,
+ * JSON) and as a bill of materials. Loaded as a plain <script> after
+ * pcb_parser.js it defines browser globals (boardview.html); under Node it
+ * requires the parser and exports via module.exports (pcb_to_json.js).
+ */
+
+// The parser's globals in the browser, its exports under Node
+const pcbModel = (typeof module !== 'undefined' && module.exports)
+  ? require('./pcb_parser.js')
+  : { COPPER_BOTTOM_LAYER, COPPER_TOP_LAYER, OUTLINE_LAYER, RAW_UNITS_PER_MIL, LENGTH_UNITS, convertLength, findFoldAxis, toNetIndexMap };
+
+// BRD2 and GenCAD readers split lines on whitespace, so names must be a single token
+function singleToken(text, fallback) {
+  const token = String(text || '').trim().replace(/\s+/g, '_');
+  return token || fallback;
+}
+
+// First non-empty label sub-block, the name the viewer shows for a part
+function partLabel(partData) {
+  const label = (partData.sub_blocks || []).find(sub => sub.type === 'sub_type_06' && sub.label);
+  return label ? label.label : '';
+}
+
+// --- BRD2 (OpenBoardView / FlexBV) ---
+// XZZPCB coordinates are 1/10000 mil; BRD2 uses whole mils
+const BRD2_UNITS_PER_MIL = pcbModel.RAW_UNITS_PER_MIL;
+const BRD2_SIDE = { TOP: 1, BOTTOM: 2 };
+// Degrees per point when an outline arc is flattened into BRDOUT
+const BRD2_ARC_STEP = 10;
+
+// Outline edges (pairs of points) joined end to end into one point list;
+// separate loops follow each other, as in BRD2 files from other tools
+function chainOutlineEdges(edges) {
+  const key = ([x, y]) => `${x},${y}`;
+  const edgesAt = new Map();
+  edges.forEach((edge, index) => {
+    for (const point of edge) {
+      if (!edgesAt.has(key(point))) edgesAt.set(key(point), []);
+      edgesAt.get(key(point)).push(index);
+    }
+  });
+
+  const used = new Uint8Array(edges.length);
+  const points = [];
+  for (let i = 0; i < edges.length; i++) {
+    if (used[i]) continue;
+    used[i] = 1;
+    let end = edges[i][1];
+    points.push(edges[i][0], end);
+
+    for (;;) {
+      const next = edgesAt.get(key(end)).find(index => !used[index]);
+      if (next === undefined) break;
+      used[next] = 1;
+      const [a, b] = edges[next];
+      end = key(a) === key(end) ? b : a;
+      points.push(end);
+    }
+  }
+  return points;
+}
+
+/**
+ * BRD2 text for a board: outline (layer 28), nets, parts with their pins, and
+ * test pads as nails. Sides come from the fold axis (findFoldAxis), the same
+ * split the viewer's board folding uses. The right half is the top side seen
+ * from above and is kept as is; the bottom half is mirrored onto it, so
+ * OpenBoardView shows both sides the right way round. Coordinates are mils
+ * from the outline's lower-left corner.
+ * @param {ParsedPCB} pcbData - parser output or normalizePcbData() JSON, unfolded
+ * @returns {string}
+ */
+function exportBrd2(pcbData) {
+  const blocks = pcbData.main_data_blocks || [];
+  const nets = pcbModel.toNetIndexMap(pcbData.net_index_to_name);
+  const foldAxis = pcbModel.findFoldAxis(blocks);
+
+  const isTopSide = x => foldAxis === null || x > foldAxis;
+  const sideOf = x => isTopSide(x) ? BRD2_SIDE.TOP : BRD2_SIDE.BOTTOM;
+  // Raw point to mils, mirroring bottom-side items across the fold
+  const toMils = (x, y, topSide) => [
+    Math.round((topSide ? x : 2 * foldAxis - x) / BRD2_UNITS_PER_MIL),
+    Math.round(y / BRD2_UNITS_PER_MIL)
+  ];
+
+  // Outline: one copy, from the top half
+  const outlineEdges = [];
+  const onTopHalf = x => foldAxis === null || x >= foldAxis - 10;
+  for (const block of blocks) {
+    const segment = block.SEGMENT;
+    if (segment && segment.layer === pcbModel.OUTLINE_LAYER && onTopHalf((segment.x1 + segment.x2) / 2)) {
+      outlineEdges.push([toMils(segment.x1, segment.y1, true), toMils(segment.x2, segment.y2, true)]);
+    }
+
+    const arc = block.ARC;
+    if (arc && arc.layer === pcbModel.OUTLINE_LAYER && onTopHalf(arc.x1)) {
+      const start = arc.angle_start / 10000;
+      let sweep = arc.angle_end / 10000 - start;
+      if (sweep <= 0) sweep += 360;
+      const steps = Math.max(1, Math.ceil(sweep / BRD2_ARC_STEP));
+      let previous = null;
+      for (let i = 0; i <= steps; i++) {
+        const angle = (start + sweep * i / steps) * Math.PI / 180;
+        const point = toMils(arc.x1 + arc.r * Math.cos(angle), arc.y1 + arc.r * Math.sin(angle), true);
+        if (previous) outlineEdges.push([previous, point]);
+        previous = point;
+      }
+    }
+  }
+  const outline = chainOutlineEdges(outlineEdges);
+
+  const parts = [];
+  const pins = [];
+  let usesNetZero = false;
+  for (const block of blocks) {
+    const partData = block.DATA && block.DATA.parsed_data;
+    if (!partData || !partData.header) continue;
+
+    const topSide = isTopSide(partData.header.part_x);
+    const side = topSide ? BRD2_SIDE.TOP : BRD2_SIDE.BOTTOM;
+    const firstPin = pins.length + 1; // 1-based index of the part's first pin
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const extend = ([x, y]) => {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    };
+
+    for (const sub of partData.sub_blocks || []) {
+      if (sub.type === 'sub_type_05') {
+        extend(toMils(sub.x1, sub.y1, topSide));
+        extend(toMils(sub.x2, sub.y2, topSide));
+      } else if (sub.type === 'sub_type_09') {
+        for (const pin of sub.pins) {
+          const point = toMils(pin.x, pin.y, topSide);
+          extend(point);
+          if (!pin.net_index) usesNetZero = true;
+          pins.push({ point, net: pin.net_index || 0, side });
+        }
+      }
+    }
+    if (minX === Infinity) extend(toMils(partData.header.part_x, partData.header.part_y, topSide));
+
+    parts.push({
+      name: singleToken(partLabel(partData), `PART${parts.length + 1}`),
+      box: [minX, minY, maxX, maxY],
+      firstPin,
+      side
+    });
+  }
+
+  const nails = [];
+  for (const block of blocks) {
+    const pad = block.TEST_PAD;
+    if (!pad) continue;
+    if (!pad.net_index) usesNetZero = true;
+    nails.push({ point: toMils(pad.x, pad.y, isTopSide(pad.x)), net: pad.net_index || 0, side: sideOf(pad.x) });
+  }
+
+  // Shift everything so the outline (or, without one, the parts) starts at 0,0
+  const anchors = outline.length > 0 ? outline : pins.map(pin => pin.point).concat(nails.map(nail => nail.point));
+  const originX = anchors.length > 0 ? Math.min(...anchors.map(point => point[0])) : 0;
+  const originY = anchors.length > 0 ? Math.min(...anchors.map(point => point[1])) : 0;
+  const xy = ([x, y]) => `${x - originX} ${y - originY}`;
+
+  const netLines = [];
+  if (usesNetZero && !nets.has(0)) netLines.push('0 UNCONNECTED');
+  for (const [netIndex, netName] of nets) {
+    netLines.push(`${netIndex} ${singleToken(netName, `NET${netIndex}`)}`);
+  }
+
+  const maxX = outline.reduce((max, point) => Math.max(max, point[0] - originX), 0);
+  const maxY = outline.reduce((max, point) => Math.max(max, point[1] - originY), 0);
+  const lines = [
+    `BRDOUT: ${outline.length} ${maxX} ${maxY}`,
+    ...outline.map(xy),
+    '',
+    `NETS: ${netLines.length}`,
+    ...netLines,
+    '',
+    `PARTS: ${parts.length}`,
+    ...parts.map(part => {
+      const [x1, y1, x2, y2] = part.box;
+      return `${part.name} ${xy([x1, y1])} ${xy([x2, y2])} ${part.firstPin} ${part.side}`;
+    }),
+    '',
+    `PINS: ${pins.length}`,
+    ...pins.map(pin => `${xy(pin.point)} ${pin.net} ${pin.side}`),
+    '',
+    `NAILS: ${nails.length}`,
+    ...nails.map((nail, index) => `${index + 1} ${xy(nail.point)} ${nail.net} ${nail.side}`),
+    ''
+  ];
+  return lines.join('\n');
+}
+
+
+// --- GenCAD 1.4 ---
+// Written in THOU (mils) with XZZPCB's full 1/10000 mil precision
+const GENCAD_UNITS_PER_MIL = pcbModel.RAW_UNITS_PER_MIL;
+
+function genCadNumber(value) {
+  return String(Math.round(value * GENCAD_UNITS_PER_MIL) / GENCAD_UNITS_PER_MIL + 0);
+}
+
+function genCadString(text) {
+  return `"${String(text).replace(/"/g, "'")}"`;
+}
+
+/**
+ * GenCAD 1.4 text for a board, for CAM and fixture tools: outline ($BOARD),
+ * one shape per part with its pads and outline, components, signals and the
+ * copper routes with vias and test pads. Bottom-side items are mirrored back
+ * to top-view coordinates like exportBrd2 does. Copper layer 16 is TOP, 1 is
+ * BOTTOM and the inner layers in use are INNER1.. from the top down; silkscreen
+ * and other non-copper drawing is left out.
+ * @param {ParsedPCB} pcbData - parser output or normalizePcbData() JSON, unfolded
+ * @param {Object} [options]
+ * @param {string} [options.drawing] - name for the header's DRAWING line
+ * @returns {string}
+ */
+function exportGenCad(pcbData, options = {}) {
+  const { COPPER_BOTTOM_LAYER, COPPER_TOP_LAYER, OUTLINE_LAYER } = pcbModel;
+  const blocks = pcbData.main_data_blocks || [];
+  const nets = pcbModel.toNetIndexMap(pcbData.net_index_to_name);
+  const foldAxis = pcbModel.findFoldAxis(blocks);
+
+  const isTopSide = x => foldAxis === null || x > foldAxis;
+  const onTopHalf = x => foldAxis === null || x >= foldAxis - 10;
+  const unfoldX = (x, top) => top ? x : 2 * foldAxis - x;
+
+  // Origin at the outline's lower-left corner
+  let originX = Infinity, originY = Infinity;
+  for (const block of blocks) {
+    const segment = block.SEGMENT;
+    if (segment && segment.layer === OUTLINE_LAYER && onTopHalf((segment.x1 + segment.x2) / 2)) {
+      originX = Math.min(originX, segment.x1, segment.x2);
+      originY = Math.min(originY, segment.y1, segment.y2);
+    }
+  }
+  if (originX === Infinity) originX = originY = 0;
+  const xy = (x, y, top) => [
+    (unfoldX(x, top) - originX) / GENCAD_UNITS_PER_MIL,
+    (y - originY) / GENCAD_UNITS_PER_MIL
+  ];
+  const point = ([x, y]) => `${genCadNumber(x)} ${genCadNumber(y)}`;
+  const mils = raw => genCadNumber(raw / GENCAD_UNITS_PER_MIL);
+
+  // GenCAD arcs run counter-clockwise from start to end point around the center;
+  // returns [start, end, center]
+  const arcPoints = (cx, cy, r, angleStart, angleEnd, top) => {
+    const [start, end] = top ? [angleStart, angleEnd] : [180 - angleEnd, 180 - angleStart];
+    const center = xy(cx, cy, top);
+    const radius = r / GENCAD_UNITS_PER_MIL;
+    const at = degrees => [
+      center[0] + radius * Math.cos(degrees * Math.PI / 180),
+      center[1] + radius * Math.sin(degrees * Math.PI / 180)
+    ];
+    return [at(start), at(end), center];
+  };
+  const arcLine = points => `ARC ${points.map(point).join(' ')}`;
+
+  const usedLayers = new Set(blocks.map(block => (block.SEGMENT || block.ARC || {}).layer));
+  const innerLayers = [...usedLayers]
+    .filter(layer => layer > COPPER_BOTTOM_LAYER && layer < COPPER_TOP_LAYER)
+    .sort((a, b) => b - a);
+  const layerName = layer => layer === COPPER_TOP_LAYER ? 'TOP'
+    : layer === COPPER_BOTTOM_LAYER ? 'BOTTOM'
+      : innerLayers.includes(layer) ? `INNER${innerLayers.indexOf(layer) + 1}` : null;
+
+  // Pads and padstacks, one pair per distinct pad geometry
+  const padstacks = new Map();
+  const padstackFor = ({ width, height, shape, drill }) => {
+    const key = `${shape}:${width}:${height}:${drill}`;
+    if (!padstacks.has(key)) padstacks.set(key, { name: `PAD${padstacks.size + 1}`, width, height, round: shape !== 2, drill });
+    return padstacks.get(key).name;
+  };
+
+  const netName = netIndex => netIndex ? singleToken(nets.get(netIndex), `NET${netIndex}`) : 'UNCONNECTED';
+  const signals = new Map();
+  const signalFor = netIndex => {
+    const name = netName(netIndex);
+    if (!signals.has(name)) signals.set(name, []);
+    return signals.get(name);
+  };
+  for (const netIndex of nets.keys()) if (netIndex) signalFor(netIndex);
+
+  const shapeLines = [];
+  const componentLines = [];
+  const devices = new Set();
+  const usedNames = new Set();
+  for (const block of blocks) {
+    const partData = block.DATA && block.DATA.parsed_data;
+    if (!partData || !partData.header) continue;
+
+    const top = isTopSide(partData.header.part_x);
+    const place = xy(partData.header.part_x, partData.header.part_y, top);
+    const local = (x, y) => {
+      const [px, py] = xy(x, y, top);
+      return [px - place[0], py - place[1]];
+    };
+
+    let name = singleToken(partLabel(partData), `PART${usedNames.size + 1}`);
+    for (let copy = 2; usedNames.has(name); copy++) name = `${singleToken(partLabel(partData), 'PART')}_${copy}`;
+    usedNames.add(name);
+    const shapeName = `${name}_SHAPE`;
+    const device = singleToken(partData.header.part_group_name, 'UNKNOWN');
+    devices.add(device);
+
+    const pins = (partData.sub_blocks || []).filter(sub => sub.type === 'sub_type_09').flatMap(sub => sub.pins);
+    shapeLines.push(`SHAPE ${shapeName}`);
+    for (const sub of partData.sub_blocks || []) {
+      if (sub.type === 'sub_type_05') {
+        shapeLines.push(`LINE ${point(local(sub.x1, sub.y1))} ${point(local(sub.x2, sub.y2))}`);
+      } else if (sub.type === 'sub_type_01') {
+        const points = arcPoints(sub.x1, sub.y1, sub.radius, sub.angle_start / 10000, sub.angle_end / 10000, top);
+        shapeLines.push(arcLine(points.map(([x, y]) => [x - place[0], y - place[1]])));
+      }
+    }
+    shapeLines.push(`INSERT ${pins.some(pin => pin.inner_diameter > 0) ? 'TH' : 'SMD'}`);
+    pins.forEach((pin, index) => {
+      const pinName = singleToken(pin.name, String(index + 1));
+      const padstack = padstackFor({ width: pin.width, height: pin.height, shape: pin.shape, drill: pin.inner_diameter || 0 });
+      const rotation = (top ? 1 : -1) * (pin.rotation || 0) / 10000;
+      shapeLines.push(`PIN ${pinName} ${padstack} ${point(local(pin.x, pin.y))} TOP ${genCadNumber(((rotation % 360) + 360) % 360)} 0`);
+      if (pin.net_index) signalFor(pin.net_index).push(`NODE ${name} ${pinName}`);
+    });
+
+    componentLines.push(
+      `COMPONENT ${name}`,
+      `PLACE ${point(place)}`,
+      `LAYER ${top ? 'TOP' : 'BOTTOM'}`,
+      'ROTATION 0',
+      `SHAPE ${shapeName} 0 0`,
+      `DEVICE ${device}`
+    );
+  }
+
+  // Routes: copper segments and arcs, vias and test pads, grouped by net
+  const routes = new Map();
+  const routeFor = netIndex => {
+    const name = netName(netIndex);
+    signalFor(netIndex);
+    if (!routes.has(name)) routes.set(name, []);
+    return routes.get(name);
+  };
+  const trackWidths = new Map();
+  const trackFor = width => {
+    if (!trackWidths.has(width)) trackWidths.set(width, `W${mils(width)}`);
+    return trackWidths.get(width);
+  };
+
+  for (const block of blocks) {
+    const { SEGMENT: segment, ARC: arc, VIA: via, TEST_PAD: pad } = block;
+    if (segment || arc) {
+      const item = segment || arc;
+      const layer = layerName(item.layer);
+      if (!layer) continue;
+      const top = isTopSide(segment ? (segment.x1 + segment.x2) / 2 : arc.x1);
+      const geometry = segment
+        ? `LINE ${point(xy(segment.x1, segment.y1, top))} ${point(xy(segment.x2, segment.y2, top))}`
+        : arcLine(arcPoints(arc.x1, arc.y1, arc.r, arc.angle_start / 10000, arc.angle_end / 10000, top));
+      routeFor(item.net_index).push({ track: trackFor(item.scale || 0), layer, geometry });
+    } else if (via) {
+      const padstack = padstackFor({ width: via.outer_radius * 2, height: via.outer_radius * 2, shape: 1, drill: via.inner_radius * 2 });
+      const at = point(xy(via.x, via.y, isTopSide(via.x)));
+      routeFor(via.net_index).push({ geometry: `VIA ${padstack} ${at} ALL ${mils(via.inner_radius * 2)}` });
+    } else if (pad) {
+      const top = isTopSide(pad.x);
+      const padstack = padstackFor({ width: pad.width, height: pad.height, shape: pad.shape, drill: pad.inner_diameter || 0 });
+      const at = point(xy(pad.x, pad.y, top));
+      routeFor(pad.net_index).push({ geometry: `TESTPAD ${padstack} ${at} ${top ? 'TOP' : 'BOTTOM'} 0 0 ${singleToken(pad.name, '0')}` });
+    }
+  }
+
+  const boardLines = [];
+  for (const block of blocks) {
+    const { SEGMENT: segment, ARC: arc } = block;
+    if (segment && segment.layer === OUTLINE_LAYER && onTopHalf((segment.x1 + segment.x2) / 2)) {
+      boardLines.push(`LINE ${point(xy(segment.x1, segment.y1, true))} ${point(xy(segment.x2, segment.y2, true))}`);
+    } else if (arc && arc.layer === OUTLINE_LAYER && onTopHalf(arc.x1)) {
+      boardLines.push(arcLine(arcPoints(arc.x1, arc.y1, arc.r, arc.angle_start / 10000, arc.angle_end / 10000, true)));
+    }
+  }
+
+  const padLines = [];
+  const padstackLines = [];
+  for (const { name, width, height, round, drill } of padstacks.values()) {
+    padLines.push(`PAD ${name} ${round ? 'ROUND' : 'RECTANGULAR'} ${mils(drill)}`);
+    padLines.push(round && width === height
+      ? `CIRCLE 0 0 ${mils(width / 2)}`
+      : `RECTANGLE ${mils(-width / 2)} ${mils(-height / 2)} ${mils(width)} ${mils(height)}`);
+    padstackLines.push(`PADSTACK ${name} ${mils(drill)}`, `PAD ${name} TOP 0 0`);
+    if (drill > 0) padstackLines.push(`PAD ${name} BOTTOM 0 0`);
+  }
+
+  const routeLines = [];
+  for (const [name, items] of routes) {
+    routeLines.push(`ROUTE ${name}`);
+    let track = null, layer = null;
+    for (const item of items) {
+      if (item.track && item.track !== track) routeLines.push(`TRACK ${track = item.track}`);
+      if (item.layer && item.layer !== layer) routeLines.push(`LAYER ${layer = item.layer}`);
+      routeLines.push(item.geometry);
+    }
+  }
+
+  const section = (name, lines) => [`$${name}`, ...lines, `$END${name}`];
+  return [
+    ...section('HEADER', [
+      'GENCAD 1.4',
+      'USER "WebPCBViewer"',
+      `DRAWING ${genCadString(options.drawing || 'board')}`,
+      'REVISION ""',
+      'UNITS THOU',
+      'ORIGIN 0 0',
+      'INTERTRACK 0'
+    ]),
+    ...section('BOARD', boardLines),
+    ...section('PADS', padLines),
+    ...section('PADSTACKS', padstackLines),
+    ...section('SHAPES', shapeLines),
+    ...section('COMPONENTS', componentLines),
+    ...section('DEVICES', [...devices].flatMap(device => [`DEVICE ${device}`, `PART ${genCadString(device)}`])),
+    ...section('SIGNALS', [...signals].flatMap(([name, nodes]) => [`SIGNAL ${name}`, ...nodes])),
+    ...section('TRACKS', [...trackWidths].map(([width, name]) => `TRACK ${name} ${mils(width)}`)),
+    ...section('ROUTES', routeLines),
+    ''
+  ].join('\n');
+}
+
+
+// --- Netlist and BOM ---
+// Raw units per 0.0001 inch, IPC-D-356's "UNITS CUST 0" resolution
+const IPC356_UNITS = 1000;
+const BOM_FIELDS = ['type', 'footprint', 'value', 'rating', 'mfgCode', 'status'];
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLines(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Every part pin with its net, side and top-view position, the rows behind
+ * exportNetlist and exportIpc356. Sides and mirroring follow exportBrd2;
+ * x/y are raw units from the outline's lower-left corner.
+ * @param {ParsedPCB} pcbData - parser output or normalizePcbData() JSON, unfolded
+ * @returns {{pins: Object[], parts: Object[], vias: Object[], testPads: Object[], nets: Map<number, string>}}
+ */
+function collectNetlist(pcbData) {
+  const blocks = pcbData.main_data_blocks || [];
+  const nets = pcbModel.toNetIndexMap(pcbData.net_index_to_name);
+  const foldAxis = pcbModel.findFoldAxis(blocks);
+
+  const isTopSide = x => foldAxis === null || x > foldAxis;
+  const onTopHalf = x => foldAxis === null || x >= foldAxis - 10;
+  let originX = Infinity, originY = Infinity;
+  for (const block of blocks) {
+    const segment = block.SEGMENT;
+    if (segment && segment.layer === pcbModel.OUTLINE_LAYER && onTopHalf((segment.x1 + segment.x2) / 2)) {
+      originX = Math.min(originX, segment.x1, segment.x2);
+      originY = Math.min(originY, segment.y1, segment.y2);
+    }
+  }
+  if (originX === Infinity) originX = originY = 0;
+  const place = (x, y, top) => ({ x: (top ? x : 2 * foldAxis - x) - originX, y: y - originY, side: top ? 'top' : 'bottom' });
+  const netName = netIndex => netIndex ? nets.get(netIndex) || `NET${netIndex}` : '';
+
+  const pins = [];
+  const parts = [];
+  for (const block of blocks) {
+    const partData = block.DATA && block.DATA.parsed_data;
+    if (!partData || !partData.header) continue;
+
+    const top = isTopSide(partData.header.part_x);
+    const labels = (partData.sub_blocks || []).filter(sub => sub.type === 'sub_type_06' && sub.label);
+    const part = {
+      name: partLabel(partData) || `PART${parts.length + 1}`,
+      footprint: partData.header.part_group_name || '',
+      valueLabel: labels.length > 1 ? labels[1].label : '',
+      side: top ? 'top' : 'bottom'
+    };
+    parts.push(part);
+
+    const partPins = (partData.sub_blocks || []).filter(sub => sub.type === 'sub_type_09').flatMap(sub => sub.pins);
+    partPins.forEach((pin, index) => {
+      pins.push({
+        net: netName(pin.net_index),
+        netIndex: pin.net_index || 0,
+        part: part.name,
+        pin: pin.name || String(index + 1),
+        ...place(pin.x, pin.y, top),
+        width: pin.width,
+        height: pin.height,
+        rotation: (top ? 1 : -1) * (pin.rotation || 0) / 10000,
+        drill: pin.inner_diameter || 0
+      });
+    });
+  }
+
+  const vias = blocks.filter(block => block.VIA).map(({ VIA: via }) => ({
+    net: netName(via.net_index),
+    netIndex: via.net_index || 0,
+    ...place(via.x, via.y, isTopSide(via.x)),
+    diameter: via.outer_radius * 2,
+    drill: via.inner_radius * 2
+  }));
+  const testPads = blocks.filter(block => block.TEST_PAD).map(({ TEST_PAD: pad }) => ({
+    net: netName(pad.net_index),
+    netIndex: pad.net_index || 0,
+    ...place(pad.x, pad.y, isTopSide(pad.x)),
+    width: pad.width,
+    height: pad.height,
+    drill: pad.inner_diameter || 0
+  }));
+
+  return { pins, parts, vias, testPads, nets };
+}
+
+/**
+ * The net -> part.pin table. CSV has one row per pin (unconnected pins have
+ * an empty net); JSON lists each net with its pins. Coordinates are in top
+ * view from the outline's lower-left corner, as in exportBrd2.
+ * @param {ParsedPCB} pcbData - parser output or normalizePcbData() JSON, unfolded
+ * @param {Object} [options]
+ * @param {'csv'|'json'} [options.format='csv']
+ * @param {'mm'|'mil'|'inch'} [options.units='mil']
+ * @returns {string}
+ */
+function exportNetlist(pcbData, options = {}) {
+  const { pins, nets } = collectNetlist(pcbData);
+  const units = options.units in pcbModel.LENGTH_UNITS ? options.units : 'mil';
+  // One digit past what the viewer shows, e.g. 0.01 mil
+  const scale = 10 ** (pcbModel.LENGTH_UNITS[units].digits + 1);
+  const length = raw => Math.round(pcbModel.convertLength(raw, units) * scale) / scale;
+  const byNet = [...pins].sort((a, b) =>
+    a.net.localeCompare(b.net, undefined, { numeric: true }) ||
+    a.part.localeCompare(b.part, undefined, { numeric: true }) ||
+    a.pin.localeCompare(b.pin, undefined, { numeric: true }));
+
+  if (options.format === 'json') {
+    const netPins = new Map([...nets.values()].map(name => [name, []]));
+    const unconnected = [];
+    for (const pin of byNet) {
+      const entry = { part: pin.part, pin: pin.pin, side: pin.side, x: length(pin.x), y: length(pin.y) };
+      if (!pin.netIndex) unconnected.push(entry);
+      else {
+        if (!netPins.has(pin.net)) netPins.set(pin.net, []);
+        netPins.get(pin.net).push(entry);
+      }
+    }
+    return JSON.stringify({
+      units,
+      nets: [...netPins].map(([name, netPinList]) => ({ name, pins: netPinList })),
+      unconnected
+    }, null, 2);
+  }
+
+  return csvLines(['net', 'part', 'pin', 'side', `x_${units}`, `y_${units}`],
+    byNet.map(pin => [pin.net, pin.part, pin.pin, pin.side, length(pin.x), length(pin.y)]));
+}
+
+/**
+ * IPC-D-356 netlist for bare-board and flying-probe testers: a 317 record
+ * per drilled pin, 327 per surface pin and test pad, and 317 records for vias
+ * (refdes VIA), in 0.0001 inch units from the outline's lower-left corner.
+ * Access is A00 for drilled features, A01 for the top side and the bottom
+ * copper layer's number for the bottom. Net names over 14 characters go
+ * through NNAME records; refdes and pin names are cut to 6 and 4 characters.
+ * XZZPCB has no solder mask data, so pads are written exposed and vias tented.
+ * @param {ParsedPCB} pcbData - parser output or normalizePcbData() JSON, unfolded
+ * @param {Object} [options]
+ * @param {string} [options.job] - name for the JOB parameter record
+ * @returns {string}
+ */
+function exportIpc356(pcbData, options = {}) {
+  const { COPPER_BOTTOM_LAYER, COPPER_TOP_LAYER } = pcbModel;
+  const { pins, vias, testPads } = collectNetlist(pcbData);
+  const copperLayers = new Set((pcbData.main_data_blocks || [])
+    .map(block => (block.SEGMENT || block.ARC || {}).layer)
+    .filter(layer => layer >= COPPER_BOTTOM_LAYER && layer <= COPPER_TOP_LAYER));
+  const bottomAccess = Math.min(99, Math.max(2, copperLayers.size));
+
+  const longNames = new Map();
+  const netField = name => {
+    if (!name) return 'N/C';
+    const token = singleToken(name, 'N/C');
+    if (token.length <= 14) return token;
+    if (!longNames.has(token)) longNames.set(token, `NNAME${longNames.size + 1}`);
+    return longNames.get(token);
+  };
+
+  const digits = (value, width) => String(Math.min(10 ** width - 1, Math.max(0, Math.round(value)))).padStart(width, '0');
+  const signed = value => (value < 0 ? '-' : '+') + digits(Math.abs(value) / IPC356_UNITS, 6);
+  const size = raw => digits(raw / IPC356_UNITS, 4);
+  const record = ({ drilled, net, refdes, pin, midpoint, drill, access, x, y, width, height, rotation, mask }) => [
+    drilled ? '317' : '327',
+    netField(net).padEnd(14).slice(0, 14),
+    '   ',
+    singleToken(refdes, '').padEnd(6).slice(0, 6),
+    '-',
+    singleToken(pin, '').padEnd(4).slice(0, 4),
+    midpoint ? 'M' : ' ',
+    drilled ? `D${size(drill)}P` : '      ',
+    `A${digits(access, 2)}`,
+    `X${signed(x)}Y${signed(y)}`,
+    `X${size(width)}Y${size(height)}R${digits((((rotation || 0) % 360) + 360) % 360, 3)}`,
+    ` S${mask}`
+  ].join('');
+  const sideAccess = side => side === 'top' ? 1 : bottomAccess;
+
+  const records = [
+    ...pins.map(pin => record({
+      drilled: pin.drill > 0, net: pin.net, refdes: pin.part, pin: pin.pin, drill: pin.drill,
+      access: pin.drill > 0 ? 0 : sideAccess(pin.side), x: pin.x, y: pin.y,
+      width: pin.width, height: pin.height, rotation: pin.rotation, mask: 0
+    })),
+    ...testPads.map((pad, index) => record({
+      drilled: pad.drill > 0, net: pad.net, refdes: `TP${index + 1}`, pin: '1', drill: pad.drill,
+      access: pad.drill > 0 ? 0 : sideAccess(pad.side), x: pad.x, y: pad.y,
+      width: pad.width, height: pad.height, mask: 0
+    })),
+    ...vias.map(via => record({
+      drilled: true, net: via.net, refdes: 'VIA', pin: '', midpoint: true, drill: via.drill,
+      access: 0, x: via.x, y: via.y, width: via.diameter, height: 0, mask: 3
+    }))
+  ];
+
+  return [
+    'C  IPC-D-356 netlist written by WebPCBViewer',
+    `P  JOB   ${singleToken(options.job, 'board')}`,
+    'P  UNITS CUST 0',
+    ...[...longNames].map(([name, alias]) => `P  ${alias.padEnd(11)}${name}`),
+    ...records,
+    '999',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Bill of materials: parts grouped into lines by component type, footprint
+ * (part_group_name) and the value, rating, manufacturer code and status from
+ * the user's annotations. The value falls back to the part's second label.
+ * @param {ParsedPCB} pcbData - parser output or normalizePcbData() JSON, unfolded
+ * @param {Object} [options]
+ * @param {'csv'|'json'} [options.format='csv']
+ * @param {function(string): string} [options.componentType] - part name to type (the viewer's inferComponentType)
+ * @param {Object<string, Object>} [options.annotations] - component annotations keyed by part name
+ * @returns {string}
+ */
+function exportBom(pcbData, options = {}) {
+  const componentType = options.componentType || (() => 'Component');
+  const annotations = options.annotations || {};
+
+  const lines = new Map();
+  for (const part of collectNetlist(pcbData).parts) {
+    const annotation = annotations[part.name] || {};
+    const line = {
+      type: componentType(part.name),
+      footprint: part.footprint,
+      value: annotation.value || part.valueLabel,
+      rating: annotation.rating || '',
+      mfgCode: annotation.mfgCode || '',
+      status: annotation.status || ''
+    };
+    const key = BOM_FIELDS.map(field => line[field]).join('\u0000');
+    if (!lines.has(key)) lines.set(key, { ...line, quantity: 0, parts: [] });
+    lines.get(key).quantity++;
+    lines.get(key).parts.push(part.name);
+  }
+
+  const compare = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  const bom = [...lines.values()]
+    .sort((a, b) => BOM_FIELDS.reduce((order, field) => order || compare(a[field], b[field]), 0));
+  for (const line of bom) line.parts.sort(compare);
+
+  if (options.format === 'json') return JSON.stringify(bom, null, 2);
+  return csvLines([...BOM_FIELDS, 'quantity', 'parts'],
+    bom.map(line => [...BOM_FIELDS.map(field => line[field]), line.quantity, line.parts.join(' ')]));
+}
+
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BRD2_UNITS_PER_MIL,
+    BRD2_SIDE,
+    exportBrd2,
+    exportGenCad,
+    exportNetlist,
+    exportIpc356,
+    exportBom
+  };
+}
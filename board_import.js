@@ -0,0 +1,900 @@
+/* board_import.js
+ * Readers for the text boardview formats (OpenBoardView BRD2 .brd, Test_Link
+ * .brd, .bdv) and GenCAD 1.4 .cad that build the same ParsedPCB model
+ * pcb_parser.js produces, so the viewer draws, annotates and exports them with
+ * its XZZPCB code paths, and merges the readings of a second board file into
+ * an open one.
+ * Loaded as a plain <script> after pcb_parser.js it defines browser globals
+ * (boardview.html); under Node it requires the parser and exports via
+ * module.exports.
+ */
+
+// The parser's globals in the browser, its exports under Node
+const pcbImportModel = (typeof module !== 'undefined' && module.exports)
+  ? require('./pcb_parser.js')
+  : { FILE_HEADER, COPPER_BOTTOM_LAYER, COPPER_TOP_LAYER, SILKSCREEN_LAYER, OUTLINE_LAYER, PART_OUTLINE_LAYER, ParseDiagnostics,
+    RAW_UNITS_PER_MIL, toNetIndexMap };
+
+// --- Signatures ---
+// Scrambled Test_Link .brd files all open with these bytes ("str_" once decoded)
+const BRD_ENCODED_SIGNATURE = [0x23, 0xe2, 0x63, 0x28];
+const BDV_FIRST_LINE = '<<format.asc>>';
+// Enough of the start of a file to find the section keywords
+const SIGNATURE_SCAN_BYTES = 4096;
+
+// --- Model constants for imported boards ---
+// XZZPCB units are 1/10000 mil; .brd files use mils and .bdv files inches
+const IMPORT_UNITS_PER_MIL = pcbImportModel.RAW_UNITS_PER_MIL;
+const BDV_MILS_PER_UNIT = 1000;
+// Pad diameters in mils when a pin has no neighbour to size it by
+const DEFAULT_PIN_SIZE = 20;
+const DEFAULT_NAIL_SIZE = 30;
+// Gap between the two unfolded board halves, as a fraction of board width
+const UNFOLD_GAP = 0.05;
+
+function toBytes(buffer) {
+  return buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+}
+
+function startsWithBytes(bytes, signature) {
+  return signature.every((value, i) => bytes[i] === value);
+}
+
+// Test_Link scrambling: each byte except line breaks and NUL is rotated left
+// by two bits and inverted
+function decodeTestLinkBrd(bytes) {
+  const decoded = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    const c = bytes[i];
+    decoded[i] = (c === 0x0d || c === 0x0a || c === 0) ? c : ~(((c >> 6) & 3) | (c << 2)) & 0xff;
+  }
+  return decoded;
+}
+
+// .bdv scrambling: a running key that starts at 160 and steps once per line
+// (wrapping from 285 back to 159) is subtracted from each byte
+function decodeBdv(bytes) {
+  const decoded = new Uint8Array(bytes.length);
+  let key = 160;
+  for (let i = 0; i < bytes.length; i++) {
+    const c = bytes[i];
+    if (c === 0x0d || c === 0x0a) {
+      decoded[i] = c;
+      if (c === 0x0a && ++key > 285) key = 159;
+    } else {
+      decoded[i] = (key - c) & 0xff;
+    }
+  }
+  return decoded;
+}
+
+function bytesToText(bytes) {
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * Which reader a file needs, judged from its first bytes rather than its name.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {'xzzpcb'|'json'|'brd'|'brd2'|'bdv'|'gencad'|null} null when nothing matches
+ */
+function detectBoardFormat(buffer) {
+  const bytes = toBytes(buffer);
+  const magic = pcbImportModel.FILE_HEADER.EXPECTED;
+
+  // The XZZPCB magic is stored XORed with the key byte at 0x10 (0 when unXORed)
+  if (bytes.length > pcbImportModel.FILE_HEADER.XOR_KEY_OFFSET) {
+    const xorKey = bytes[pcbImportModel.FILE_HEADER.XOR_KEY_OFFSET];
+    if ([...magic].every((char, i) => (bytes[i] ^ xorKey) === char.charCodeAt(0))) return 'xzzpcb';
+  }
+  if (startsWithBytes(bytes, BRD_ENCODED_SIGNATURE)) return 'brd';
+
+  const head = bytesToText(bytes.subarray(0, SIGNATURE_SCAN_BYTES));
+  if (/^\s*[{[]/.test(head)) return 'json';
+  if (/^\s*BRDOUT:/m.test(head) && /^\s*NETS:/m.test(head)) return 'brd2';
+  if (/^\s*(str_length|var_data):/m.test(head)) return 'brd';
+  if (head.trimStart().startsWith(BDV_FIRST_LINE)) return 'bdv';
+  if (/^\s*\$HEADER/m.test(head) && /^\s*GENCAD\b/im.test(head)) return 'gencad';
+
+  const bdvHead = bytesToText(decodeBdv(bytes.subarray(0, SIGNATURE_SCAN_BYTES)));
+  if (bdvHead.trimStart().startsWith(BDV_FIRST_LINE)) return 'bdv';
+  return null;
+}
+
+
+// --- Text readers ---
+// Each reader returns the plain board boardToPcbData() takes (see below). Lines
+// that do not parse are reported and skipped.
+
+function splitLines(text) {
+  return text.split(/\r?\n/).map(line => line.trim());
+}
+
+function numbers(tokens) {
+  return tokens.map(Number);
+}
+
+function allFinite(values) {
+  return values.every(Number.isFinite);
+}
+
+// Test_Link parts pack mounting type and side into one number: SMD when bits
+// 2-3 are set, top for 1 and 4-7 (OpenBoardView's BRDFile reader; it leaves 0
+// and 3 on neither side, which lands them on the bottom here)
+function testLinkPartSide(typeLayer) {
+  return {
+    top: typeLayer === 1 || (typeLayer >= 4 && typeLayer < 8),
+    throughHole: (typeLayer & 0xc) === 0
+  };
+}
+
+// str_length: / var_data: / Format: / Parts: / Pins: / Nails: sections; pins
+// list their part as a 1-based index and their net by name
+function parseTestLinkBrd(text, diagnostics) {
+  const board = { outline: [], parts: [], nails: [] };
+  const outlinePoints = [];
+  const pins = [];
+  const pinEnds = [];
+  const sectionNames = { 'format:': 'format', 'parts:': 'parts', 'pins1:': 'parts', 'pins:': 'pins',
+    'pins2:': 'pins', 'nails:': 'nails', 'str_length:': 'header', 'var_data:': 'header' };
+  let section = null;
+
+  splitLines(text).forEach((line, index) => {
+    if (!line) return;
+    let tokens = line.split(/\s+/);
+    const keyword = tokens[0].toLowerCase();
+    if (sectionNames[keyword]) {
+      section = sectionNames[keyword];
+      tokens = tokens.slice(1);
+      if (tokens.length === 0) return;
+    }
+
+    const bad = () => diagnostics.warn(`Unreadable ${section || 'line'} entry: ${line}`, { line: index + 1 });
+    if (section === 'format') {
+      const point = numbers(tokens.slice(0, 2));
+      allFinite(point) && point.length === 2 ? outlinePoints.push(point) : bad();
+    } else if (section === 'parts') {
+      const [typeLayer, endOfPins] = numbers(tokens.slice(1, 3));
+      if (tokens.length < 3 || !allFinite([typeLayer, endOfPins])) return bad();
+      board.parts.push({ name: tokens[0], ...testLinkPartSide(typeLayer), box: null, pins: [] });
+      pinEnds.push(endOfPins);
+    } else if (section === 'pins') {
+      const [x, y, , part] = numbers(tokens.slice(0, 4));
+      if (tokens.length < 4 || !allFinite([x, y, part])) return bad();
+      pins.push({ x, y, part, net: tokens[4] || '' });
+    } else if (section === 'nails') {
+      const [probe, x, y, side] = numbers(tokens.slice(0, 4));
+      if (tokens.length < 4 || !allFinite([x, y, side])) return bad();
+      board.nails.push({ probe, x, y, top: side !== 2, net: tokens[4] || '' });
+    }
+  });
+
+  // Pins name their part directly; older files leave it 0 and rely on the
+  // parts' cumulative end_of_pins counts instead
+  pins.forEach((pin, index) => {
+    let partIndex = pin.part - 1;
+    if (!board.parts[partIndex]) partIndex = pinEnds.findIndex(end => index < end);
+    const part = board.parts[partIndex];
+    if (!part) {
+      diagnostics.warn(`Pin ${index + 1} belongs to no part`);
+      return;
+    }
+    part.pins.push({ name: String(part.pins.length + 1), x: pin.x, y: pin.y, net: pin.net });
+  });
+  board.outline = polygonShapes(outlinePoints);
+  return board;
+}
+
+// BRDOUT: / NETS: / PARTS: / PINS: / NAILS: sections; nets are numbered, parts
+// give a bounding box and the index of their first pin
+function parseBrd2(text, diagnostics) {
+  const board = { outline: [], parts: [], nails: [] };
+  const outlinePoints = [];
+  const netNames = new Map();
+  const pins = [];
+  const firstPins = [];
+  const sectionNames = { 'brdout:': 'outline', 'nets:': 'nets', 'parts:': 'parts', 'pins:': 'pins', 'nails:': 'nails' };
+  let section = null;
+
+  splitLines(text).forEach((line, index) => {
+    if (!line) return;
+    const tokens = line.split(/\s+/);
+    const keyword = tokens[0].toLowerCase();
+    if (sectionNames[keyword]) {
+      section = sectionNames[keyword];
+      return;
+    }
+
+    const bad = () => diagnostics.warn(`Unreadable ${section || 'line'} entry: ${line}`, { line: index + 1 });
+    if (section === 'outline') {
+      const point = numbers(tokens.slice(0, 2));
+      allFinite(point) && point.length === 2 ? outlinePoints.push(point) : bad();
+    } else if (section === 'nets') {
+      const id = Number(tokens[0]);
+      Number.isFinite(id) ? netNames.set(id, tokens.slice(1).join(' ')) : bad();
+    } else if (section === 'parts') {
+      const [x1, y1, x2, y2, firstPin, side] = numbers(tokens.slice(1, 7));
+      if (tokens.length < 7 || !allFinite([x1, y1, x2, y2, firstPin, side])) return bad();
+      board.parts.push({ name: tokens[0], top: side !== 2, throughHole: false, box: [x1, y1, x2, y2], pins: [] });
+      firstPins.push(firstPin);
+    } else if (section === 'pins') {
+      const [x, y, net] = numbers(tokens.slice(0, 3));
+      if (tokens.length < 3 || !allFinite([x, y, net])) return bad();
+      pins.push({ x, y, net });
+    } else if (section === 'nails') {
+      const [probe, x, y, net, side] = numbers(tokens.slice(0, 5));
+      if (tokens.length < 5 || !allFinite([x, y, net, side])) return bad();
+      board.nails.push({ probe, x, y, top: side !== 2, net: netNames.get(net) ?? '' });
+    }
+  });
+
+  board.nets = [...netNames.values()];
+
+  // First-pin indexes are 1-based; a list starting at 0 is read as 0-based
+  const base = firstPins[0] === 0 ? 0 : 1;
+  board.parts.forEach((part, partIndex) => {
+    const start = firstPins[partIndex] - base;
+    const end = partIndex + 1 < firstPins.length ? firstPins[partIndex + 1] - base : pins.length;
+    for (const pin of pins.slice(start, end)) {
+      part.pins.push({ name: String(part.pins.length + 1), x: pin.x, y: pin.y, net: netNames.get(pin.net) ?? '' });
+    }
+  });
+  board.outline = polygonShapes(outlinePoints);
+  return board;
+}
+
+// <<format.asc>> outline, <<pins.asc>> with "Part NAME (T|B)" lines followed by
+// that part's pins, <<nails.asc>>; coordinates in inches
+function parseBdv(text, diagnostics) {
+  const board = { outline: [], parts: [], nails: [] };
+  const outlinePoints = [];
+  const toMils = value => value * BDV_MILS_PER_UNIT;
+  let section = null;
+
+  splitLines(text).forEach((line, index) => {
+    if (!line) return;
+    if (line.startsWith('<<')) {
+      const match = /^<<(\w+)\.asc>>$/i.exec(line);
+      section = match ? match[1].toLowerCase() : null;
+      return;
+    }
+
+    const tokens = line.split(/\s+/);
+    const bad = () => diagnostics.warn(`Unreadable ${section || 'line'} entry: ${line}`, { line: index + 1 });
+    if (section === 'format') {
+      const point = numbers(tokens.slice(0, 2));
+      allFinite(point) && point.length === 2 ? outlinePoints.push(point.map(toMils)) : bad();
+    } else if (section === 'pins' && tokens[0] === 'Part') {
+      if (tokens.length < 2) return bad();
+      const side = (tokens[2] || '').replace('(', '').toUpperCase();
+      board.parts.push({ name: tokens[1], top: !side.startsWith('B'), throughHole: false, box: null, pins: [] });
+    } else if (section === 'pins') {
+      // id name x y layer net probe
+      const [x, y] = numbers(tokens.slice(2, 4));
+      const part = board.parts[board.parts.length - 1];
+      if (!part || tokens.length < 4 || !allFinite([x, y])) return bad();
+      part.pins.push({ name: tokens[1], x: toMils(x), y: toMils(y), net: tokens[5] || '' });
+    } else if (section === 'nails') {
+      // probe x y side net
+      const [probe, x, y, side] = numbers(tokens.slice(0, 4));
+      if (tokens.length < 4 || !allFinite([x, y])) return bad();
+      board.nails.push({ probe, x: toMils(x), y: toMils(y), top: side !== 2, net: tokens[4] || '' });
+    }
+  });
+  board.outline = polygonShapes(outlinePoints);
+  return board;
+}
+
+
+// --- GenCAD ---
+// Mils per GenCAD UNITS keyword; USER/USERMM/USERCM take a units-per count
+const GENCAD_UNIT_MILS = { INCH: 1000, THOU: 1, MIL: 1, MM: 1000 / 25.4, MM100: 10 / 25.4 };
+const GENCAD_USER_UNIT_MILS = { USER: 1000, USERCM: 10000 / 25.4, USERMM: 1000 / 25.4 };
+
+// Keyword and arguments of a GenCAD line; quoted strings stay one token
+function genCadTokens(line) {
+  const tokens = [];
+  for (const match of line.matchAll(/"([^"]*)"|(\S+)/g)) tokens.push(match[1] ?? match[2]);
+  return tokens;
+}
+
+// Arcs as XZZPCB stores them: counter-clockwise and at most half a turn each,
+// so renderers that take the short way round draw them correctly
+function arcShapes(x, y, r, start, end) {
+  let sweep = normalizeDegrees(end - start);
+  if (sweep === 0) sweep = 360;
+  const pieces = Math.ceil(sweep / 180);
+  const shapes = [];
+  for (let i = 0; i < pieces; i++) {
+    shapes.push({ type: 'arc', x, y, r, start: start + sweep * i / pieces, end: start + sweep * (i + 1) / pieces });
+  }
+  return shapes;
+}
+
+// LINE / ARC / CIRCLE / RECTANGLE geometry lines, already in mils; null for other keywords
+function genCadShapes(keyword, args) {
+  const values = numbers(args);
+  if (keyword === 'LINE' && allFinite(values.slice(0, 4))) return [lineShape(...values.slice(0, 4))];
+  if (keyword === 'ARC' && allFinite(values.slice(0, 6))) {
+    const [x1, y1, x2, y2, cx, cy] = values;
+    const start = Math.atan2(y1 - cy, x1 - cx) * 180 / Math.PI;
+    const end = Math.atan2(y2 - cy, x2 - cx) * 180 / Math.PI;
+    return arcShapes(cx, cy, Math.hypot(x1 - cx, y1 - cy), start, end);
+  }
+  if (keyword === 'CIRCLE' && allFinite(values.slice(0, 3))) return arcShapes(values[0], values[1], values[2], 0, 360);
+  if (keyword === 'RECTANGLE' && allFinite(values.slice(0, 4))) {
+    const [x, y, w, h] = values;
+    return rectangleShapes(x, y, x + w, y + h);
+  }
+  return null;
+}
+
+// Shape coordinates placed by a component: optional mirror, then rotation, then offset
+function placePoint(x, y, place) {
+  const mx = place.mirrorX ? -x : x;
+  const my = place.mirrorY ? -y : y;
+  const angle = place.rotation * Math.PI / 180;
+  return [
+    place.x + mx * Math.cos(angle) - my * Math.sin(angle),
+    place.y + mx * Math.sin(angle) + my * Math.cos(angle)
+  ];
+}
+
+function placeShape(shape, place) {
+  if (shape.type === 'line') {
+    return lineShape(...placePoint(shape.x1, shape.y1, place), ...placePoint(shape.x2, shape.y2, place));
+  }
+
+  const [x, y] = placePoint(shape.x, shape.y, place);
+  let [start, end] = [shape.start, shape.end];
+  if (place.mirrorX) [start, end] = [180 - end, 180 - start];
+  if (place.mirrorY) [start, end] = [-end, -start];
+  return { type: 'arc', x, y, r: shape.r, start: start + place.rotation, end: end + place.rotation };
+}
+
+/**
+ * GenCAD 1.4 ($HEADER, $BOARD, $PADS, $PADSTACKS, $SHAPES, $COMPONENTS,
+ * $SIGNALS, $TRACKS, $ROUTES). Copper maps onto the XZZPCB layer numbers: TOP
+ * is 16, BOTTOM 1 and INNERn count down from the top, so inner layers fill 2
+ * upwards; SILKSCREEN_TOP/BOTTOM become layer 17 on their side. Other layers
+ * (mask, paste, assembly) are skipped with one warning each.
+ */
+function parseGenCad(text, diagnostics) {
+  const board = { outline: [], parts: [], nails: [], tracks: [], vias: [], nets: [] };
+  const pads = new Map();        // name -> { width, height, round, drill }
+  const padstacks = new Map();   // name -> { pad, drill }
+  const shapes = new Map();      // name -> { outline: Shape[], throughHole, pins: [] }
+  const components = [];
+  const trackWidths = new Map();
+  const pinNets = new Map();     // "component\0pin" -> net
+  const skippedLayers = new Set();
+  let unitMils = GENCAD_UNIT_MILS.INCH;
+  let section = null;
+  let current = null;            // record the following lines belong to
+  let route = null;              // { net, width, layer }
+
+  const toMils = value => Number(value) * unitMils;
+  const padFor = name => {
+    const stack = padstacks.get(name);
+    const pad = stack ? pads.get(stack.pad) : pads.get(name);
+    return pad ? { ...pad, drill: Math.max(pad.drill, stack ? stack.drill : 0) } : null;
+  };
+
+  splitLines(text).forEach((line, index) => {
+    if (!line) return;
+    if (line.startsWith('$')) {
+      section = line.startsWith('$END') ? null : line.slice(1).toUpperCase();
+      current = null;
+      route = null;
+      return;
+    }
+
+    const [rawKeyword, ...args] = genCadTokens(line);
+    const keyword = rawKeyword.toUpperCase();
+    const bad = () => diagnostics.warn(`Unreadable ${section || 'line'} entry: ${line}`, { line: index + 1 });
+    const geometry = () => genCadShapes(keyword, args.slice(0, 6).map(toMils).concat(args.slice(6)));
+
+    if (section === 'HEADER') {
+      if (keyword !== 'UNITS') return;
+      const unit = (args[0] || '').toUpperCase();
+      if (GENCAD_UNIT_MILS[unit]) unitMils = GENCAD_UNIT_MILS[unit];
+      else if (GENCAD_USER_UNIT_MILS[unit] && Number(args[1]) > 0) unitMils = GENCAD_USER_UNIT_MILS[unit] / Number(args[1]);
+      else bad();
+    } else if (section === 'BOARD') {
+      const outline = geometry();
+      if (outline) board.outline.push(...outline);
+    } else if (section === 'PADS') {
+      if (keyword === 'PAD') {
+        current = { shapes: [], round: /^(ROUND|ANNULAR|CIRCLE)$/i.test(args[1] || ''), drill: toMils(args[2]) || 0 };
+        pads.set(args[0], current);
+      } else if (current) {
+        const padShapes = geometry();
+        if (padShapes) current.shapes.push(...padShapes);
+      }
+    } else if (section === 'PADSTACKS') {
+      if (keyword === 'PADSTACK') {
+        current = { pad: null, drill: toMils(args[1]) || 0 };
+        padstacks.set(args[0], current);
+      } else if (keyword === 'PAD' && current && (!current.pad || (args[1] || '').toUpperCase() === 'TOP')) {
+        current.pad = args[0];
+      }
+    } else if (section === 'SHAPES') {
+      if (keyword === 'SHAPE') {
+        current = { outline: [], throughHole: false, pins: [] };
+        shapes.set(args[0], current);
+      } else if (!current) {
+        bad();
+      } else if (keyword === 'INSERT') {
+        current.throughHole = /^TH$/i.test(args[0] || '');
+      } else if (keyword === 'PIN') {
+        const [x, y, rotation] = numbers([args[2], args[3], args[5] || 0]);
+        if (!allFinite([x, y])) return bad();
+        current.pins.push({ name: args[0], pad: args[1], x: x * unitMils, y: y * unitMils, rotation: rotation || 0 });
+      } else {
+        const outline = geometry();
+        if (outline) current.outline.push(...outline);
+      }
+    } else if (section === 'COMPONENTS') {
+      if (keyword === 'COMPONENT') {
+        current = { name: args[0], x: 0, y: 0, top: true, rotation: 0, shape: null, mirrorX: false, mirrorY: false };
+        components.push(current);
+      } else if (!current) {
+        bad();
+      } else if (keyword === 'PLACE') {
+        [current.x, current.y] = [toMils(args[0]), toMils(args[1])];
+      } else if (keyword === 'LAYER') {
+        current.top = (args[0] || '').toUpperCase() !== 'BOTTOM';
+      } else if (keyword === 'ROTATION') {
+        current.rotation = Number(args[0]) || 0;
+      } else if (keyword === 'SHAPE') {
+        current.shape = args[0];
+        current.mirrorX = /^MIRRORX$/i.test(args[1] || '');
+        current.mirrorY = /^MIRRORY$/i.test(args[1] || '');
+      } else if (keyword === 'DEVICE') {
+        current.device = args[0];
+      }
+    } else if (section === 'SIGNALS') {
+      if (keyword === 'SIGNAL') {
+        current = args[0];
+        board.nets.push(current);
+      } else if (keyword === 'NODE' && current !== null) {
+        pinNets.set(`${args[0]}\u0000${args[1]}`, current);
+      }
+    } else if (section === 'TRACKS') {
+      if (keyword === 'TRACK') trackWidths.set(args[0], toMils(args[1]) || 0);
+    } else if (section === 'ROUTES') {
+      if (keyword === 'ROUTE') {
+        route = { net: args[0], width: 0, layer: null };
+      } else if (!route) {
+        bad();
+      } else if (keyword === 'TRACK') {
+        route.width = trackWidths.get(args[0]) ?? (toMils(args[0]) || 0);
+      } else if (keyword === 'LAYER') {
+        route.layer = (args[0] || '').toUpperCase();
+      } else if (keyword === 'VIA') {
+        const [x, y] = [toMils(args[1]), toMils(args[2])];
+        if (!allFinite([x, y])) return bad();
+        const pad = padFor(args[0]);
+        const drill = toMils(args[4]) || (pad ? pad.drill : 0);
+        board.vias.push({ x, y, diameter: pad ? Math.max(pad.width, pad.height) : drill * 2, drill, net: route.net });
+      } else if (keyword === 'TESTPAD') {
+        const [x, y] = [toMils(args[1]), toMils(args[2])];
+        if (!allFinite([x, y])) return bad();
+        board.nails.push({ probe: Number(args[6]), x, y, top: (args[3] || '').toUpperCase() !== 'BOTTOM', net: route.net });
+      } else {
+        const routeShapes = geometry();
+        if (!routeShapes) return;
+        for (const shape of routeShapes) board.tracks.push({ ...shape, layerName: route.layer, width: route.width, net: route.net });
+      }
+    }
+  });
+
+  for (const pad of pads.values()) {
+    const points = pad.shapes.flatMap(shapeBoundPoints);
+    const xs = points.map(point => point[0]);
+    const ys = points.map(point => point[1]);
+    pad.width = points.length > 0 ? Math.max(...xs) - Math.min(...xs) : 0;
+    pad.height = points.length > 0 ? Math.max(...ys) - Math.min(...ys) : 0;
+    if (pad.shapes.some(shape => shape.type === 'arc')) pad.round = true;
+  }
+
+  // Inner layers: INNER1 sits just under the top, the highest sits on layer 2
+  const innerCount = Math.max(0, ...board.tracks.map(track => Number((/^INNER(\d+)$/.exec(track.layerName) || [])[1]) || 0));
+  const layerFor = name => {
+    if (name === 'TOP') return { layer: pcbImportModel.COPPER_TOP_LAYER, top: true };
+    if (name === 'BOTTOM') return { layer: pcbImportModel.COPPER_BOTTOM_LAYER, top: false };
+    if (name === 'SILKSCREEN_TOP' || name === 'SILKSCREEN_BOTTOM') {
+      return { layer: pcbImportModel.SILKSCREEN_LAYER, top: name === 'SILKSCREEN_TOP' };
+    }
+    const inner = /^INNER(\d+)$/.exec(name || '');
+    if (!inner) return null;
+    const layer = innerCount - Number(inner[1]) + 2;
+    return { layer, top: layer > 1 + innerCount / 2 };
+  };
+  board.tracks = board.tracks.flatMap(({ layerName, ...track }) => {
+    const placement = layerFor(layerName);
+    if (placement) return [{ ...track, ...placement }];
+    if (!skippedLayers.has(layerName)) diagnostics.warn(`Skipped routes on layer ${layerName}`);
+    skippedLayers.add(layerName);
+    return [];
+  });
+  for (const via of board.vias) {
+    Object.assign(via, { layers: [pcbImportModel.COPPER_BOTTOM_LAYER, pcbImportModel.COPPER_TOP_LAYER], top: true });
+  }
+
+  for (const component of components) {
+    const shape = shapes.get(component.shape);
+    if (!shape) {
+      diagnostics.warn(`Component ${component.name} uses unknown shape ${component.shape}`);
+      continue;
+    }
+    const pins = shape.pins.map(pin => {
+      const [x, y] = placePoint(pin.x, pin.y, component);
+      const pad = padFor(pin.pad) || { width: undefined, height: undefined, round: true, drill: 0 };
+      const mirrored = component.mirrorX !== component.mirrorY;
+      return {
+        name: pin.name, x, y, net: pinNets.get(`${component.name}\u0000${pin.name}`) || '',
+        width: pad.width || undefined, height: pad.height || undefined, round: pad.round,
+        drill: pad.drill || (shape.throughHole ? undefined : 0),
+        rotation: (mirrored ? -pin.rotation : pin.rotation) + component.rotation
+      };
+    });
+    board.parts.push({
+      name: component.name,
+      top: component.top,
+      throughHole: shape.throughHole || pins.some(pin => pin.drill > 0),
+      box: null,
+      outline: shape.outline.map(outlineShape => placeShape(outlineShape, component)),
+      rotation: component.rotation,
+      device: component.device,
+      pins
+    });
+  }
+  return board;
+}
+
+
+// --- Board to ParsedPCB ---
+// Readers hand boardToPcbData a plain board in mils, in top-view coordinates
+// (y up, bottom-side items as seen through the board from above):
+//   outline: Shape[]
+//   parts:   [{ name, top, throughHole, box: [x1, y1, x2, y2]|null, outline?: Shape[], rotation?, device?,
+//              pins: [{ name, x, y, net, width?, height?, round?, drill?, rotation? }] }]
+//   nails:   [{ probe, x, y, top, net }]
+//   tracks?: [{ layer, top, width, net, ...Shape }] - copper and silkscreen drawing
+//   vias?:   [{ x, y, diameter, drill, layers: [a, b], top, net }]
+//   nets?:   string[] - declared nets, so unused ones survive
+// A Shape is { type: 'line', x1, y1, x2, y2 } or { type: 'arc', x, y, r, start, end }
+// (degrees, counter-clockwise from start to end). Nets are names, rotations degrees.
+
+function isUnconnectedNet(name) {
+  return !name || name.toUpperCase() === 'UNCONNECTED';
+}
+
+function lineShape(x1, y1, x2, y2) {
+  return { type: 'line', x1, y1, x2, y2 };
+}
+
+// Closed outline through a point list
+function polygonShapes(points) {
+  const shapes = [];
+  for (let i = 0; i + 1 < points.length; i++) shapes.push(lineShape(...points[i], ...points[i + 1]));
+  const [first, last] = [points[0], points[points.length - 1]];
+  if (points.length > 2 && (first[0] !== last[0] || first[1] !== last[1])) shapes.push(lineShape(...last, ...first));
+  return shapes;
+}
+
+function rectangleShapes(x1, y1, x2, y2) {
+  return polygonShapes([[x1, y1], [x2, y1], [x2, y2], [x1, y2], [x1, y1]]);
+}
+
+// Points that bound a shape; a whole circle stands in for an arc
+function shapeBoundPoints(shape) {
+  return shape.type === 'arc'
+    ? [[shape.x - shape.r, shape.y - shape.r], [shape.x + shape.r, shape.y + shape.r]]
+    : [[shape.x1, shape.y1], [shape.x2, shape.y2]];
+}
+
+function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+// Pads sized to 60% of the tightest pin spacing in the part, so BGAs and
+// connectors keep their pitch readable
+function estimatePinSize(pins) {
+  let closest = Infinity;
+  for (let i = 0; i < pins.length; i++) {
+    for (let j = i + 1; j < pins.length; j++) {
+      const distance = Math.hypot(pins[i].x - pins[j].x, pins[i].y - pins[j].y);
+      if (distance > 0) closest = Math.min(closest, distance);
+    }
+  }
+  return closest === Infinity ? DEFAULT_PIN_SIZE : Math.min(DEFAULT_PIN_SIZE * 2, Math.max(2, closest * 0.6));
+}
+
+// Pin record in raw units; shape 1 is round, 2 rectangular
+function makePin({ name, x, y, width, height, shape, drill, rotation }, netIndex) {
+  return {
+    x,
+    y,
+    inner_diameter: drill,
+    rotation,
+    name_size: name.length,
+    name,
+    width,
+    height,
+    shape,
+    outlines: [{ width, height, shape }],
+    outline_end: 0,
+    net_index: netIndex,
+    diode_reading: '',
+    sub_records: [],
+    unknown_ints: [],
+    isThruHole_pin: drill !== 0
+  };
+}
+
+/**
+ * Lays a mil-based board out the way XZZPCB files are drawn: unfolded, the
+ * top side on the right and the bottom side mirrored on the left, both halves
+ * sharing a doubled layer 28 outline, so findFoldAxis and the viewer's board
+ * folding treat it like any other file. A board without an outline gets a
+ * rectangle around its pins.
+ * @returns {ParsedPCB}
+ */
+function boardToPcbData(board, diagnostics) {
+  const { SILKSCREEN_LAYER, OUTLINE_LAYER, PART_OUTLINE_LAYER } = pcbImportModel;
+  const netIndexes = new Map();
+  const netIndexFor = name => {
+    if (isUnconnectedNet(name)) return 0;
+    if (!netIndexes.has(name)) netIndexes.set(name, netIndexes.size + 1);
+    return netIndexes.get(name);
+  };
+  for (const name of board.nets || []) netIndexFor(name);
+
+  let outline = board.outline;
+  if (outline.length === 0) {
+    const allPoints = board.parts.flatMap(part => part.pins).concat(board.nails);
+    if (allPoints.length === 0) throw new Error('Board has no outline, pins or nails');
+    diagnostics.warn('No board outline; using the bounds of the pins');
+    const xs = allPoints.map(point => point.x);
+    const ys = allPoints.map(point => point.y);
+    const margin = DEFAULT_NAIL_SIZE;
+    outline = rectangleShapes(Math.min(...xs) - margin, Math.min(...ys) - margin, Math.max(...xs) + margin, Math.max(...ys) + margin);
+  }
+
+  // Raw units, positive throughout: the bottom half starts at `margin`, the
+  // top half follows after the gap
+  const outlinePoints = outline.flatMap(shapeBoundPoints);
+  const minX = Math.min(...outlinePoints.map(point => point[0]));
+  const maxX = Math.max(...outlinePoints.map(point => point[0]));
+  const minY = Math.min(...outlinePoints.map(point => point[1]));
+  const width = maxX - minX;
+  const margin = Math.max(DEFAULT_NAIL_SIZE, width * UNFOLD_GAP);
+  const topLeft = width + width * UNFOLD_GAP + margin;
+  const foldAxis = width + width * UNFOLD_GAP / 2 + margin;
+  const rawX = (x, top) => {
+    const unfolded = x - minX + topLeft;
+    return Math.round((top ? unfolded : 2 * foldAxis - unfolded) * IMPORT_UNITS_PER_MIL);
+  };
+  const rawY = y => Math.round((y - minY + margin) * IMPORT_UNITS_PER_MIL);
+  const raw = value => Math.round(value * IMPORT_UNITS_PER_MIL);
+  // Mirroring onto the bottom half turns angles (and arcs) around
+  const rawAngle = (degrees, top) => Math.round(normalizeDegrees(top ? degrees : 180 - degrees) * 10000);
+  const rawRotation = (degrees, top) => Math.round(normalizeDegrees(top ? degrees : -degrees) * 10000);
+
+  // Shape to the coordinate fields of ARC / SEGMENT blocks
+  const unfoldShape = (shape, top) => shape.type === 'arc'
+    ? {
+      x1: rawX(shape.x, top), y1: rawY(shape.y), r: raw(shape.r),
+      angle_start: rawAngle(top ? shape.start : shape.end, top), angle_end: rawAngle(top ? shape.end : shape.start, top)
+    }
+    : { x1: rawX(shape.x1, top), y1: rawY(shape.y1), x2: rawX(shape.x2, top), y2: rawY(shape.y2) };
+  const shapeBlock = (shape, top, layer, scale, netIndex) => shape.type === 'arc'
+    ? { ARC: { layer, ...unfoldShape(shape, top), scale, net_index: netIndex } }
+    : { SEGMENT: { layer, ...unfoldShape(shape, top), scale, net_index: netIndex } };
+
+  const blocks = [];
+  for (const top of [false, true]) {
+    for (const shape of outline) blocks.push(shapeBlock(shape, top, OUTLINE_LAYER, 10, 0));
+  }
+  for (const track of board.tracks || []) {
+    blocks.push(shapeBlock(track, track.top, track.layer, raw(track.width), netIndexFor(track.net)));
+  }
+  for (const via of board.vias || []) {
+    blocks.push({ VIA: {
+      x: rawX(via.x, via.top), y: rawY(via.y), outer_radius: raw(via.diameter / 2), inner_radius: raw(via.drill / 2),
+      layer_a_index: via.layers[0], layer_b_index: via.layers[1], net_index: netIndexFor(via.net), via_text: ''
+    } });
+  }
+
+  for (const part of board.parts) {
+    const size = estimatePinSize(part.pins);
+    const points = part.pins.map(pin => [pin.x, pin.y]);
+    const hasBox = part.box && part.box[0] !== part.box[2] && part.box[1] !== part.box[3];
+    let box = hasBox ? part.box : null;
+    if (!box && (points.length > 0 || part.outline)) {
+      const pinPoints = points.flatMap(([x, y]) => [[x - size, y - size], [x + size, y + size]]);
+      const allPoints = pinPoints.concat((part.outline || []).flatMap(shapeBoundPoints));
+      const xs = allPoints.map(point => point[0]);
+      const ys = allPoints.map(point => point[1]);
+      box = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+    }
+    if (!box) {
+      diagnostics.warn(`Part ${part.name} has no pins or outline; skipped`);
+      continue;
+    }
+
+    const centerX = rawX((box[0] + box[2]) / 2, part.top);
+    const centerY = rawY((box[1] + box[3]) / 2);
+    const subBlocks = [{
+      type: 'sub_type_06', layer: SILKSCREEN_LAYER, x: centerX, y: centerY,
+      font_size: 60000, font_scale: 6000, font_rotation: 0, visibility: 2, unknown_1: 1,
+      label_size: part.name.length, label: part.name
+    }];
+    const partOutline = part.outline && part.outline.length > 0 ? part.outline : rectangleShapes(...box);
+    for (const shape of partOutline) {
+      const fields = unfoldShape(shape, part.top);
+      subBlocks.push(shape.type === 'arc'
+        ? {
+          type: 'sub_type_01', layer: PART_OUTLINE_LAYER, x1: fields.x1, y1: fields.y1, radius: fields.r,
+          angle_start: fields.angle_start, angle_end: fields.angle_end, scale: 10, unknown_arc: 0
+        }
+        : { type: 'sub_type_05', layer: PART_OUTLINE_LAYER, ...fields, scale: 10, unknown_segment: 0 });
+    }
+    for (const pin of part.pins) {
+      const pinWidth = pin.width ?? size;
+      subBlocks.push({ type: 'sub_type_09', pins: [makePin({
+        name: pin.name,
+        x: rawX(pin.x, part.top),
+        y: rawY(pin.y),
+        width: raw(pinWidth),
+        height: raw(pin.height ?? pinWidth),
+        shape: pin.round === false ? 2 : 1,
+        drill: raw(pin.drill ?? (part.throughHole ? pinWidth / 2 : 0)),
+        rotation: rawRotation(pin.rotation || 0, part.top)
+      }, netIndexFor(pin.net))] });
+    }
+
+    blocks.push({ DATA: { block_size: 0, parsed_data: {
+      header: {
+        part_size: 0, unknown_1: 1, part_x: centerX, part_y: centerY, part_rotation: rawRotation(part.rotation || 0, part.top),
+        visibility: 1, unknown_2: 0, part_group_name_size: (part.device || '').length, part_group_name: part.device || ''
+      },
+      sub_blocks: subBlocks
+    } } });
+  }
+
+  for (const nail of board.nails) {
+    const pad = makePin({
+      name: Number.isFinite(nail.probe) ? String(nail.probe) : '',
+      x: rawX(nail.x, nail.top),
+      y: rawY(nail.y),
+      width: raw(DEFAULT_NAIL_SIZE),
+      height: raw(DEFAULT_NAIL_SIZE),
+      shape: 1,
+      drill: 0,
+      rotation: 0
+    }, netIndexFor(nail.net));
+    blocks.push({ TEST_PAD: { block_size: 0, ...pad } });
+  }
+
+  return {
+    main_data_blocks: blocks,
+    net_index_to_name: new Map([...netIndexes].map(([name, index]) => [index, name])),
+    diode_readings: new Map(),
+    reading_type: 'Readings',
+    diagnostics: diagnostics.entries,
+    layout: { xor_key: 0, image_block: [], reading_type_label: null, diode_order: [] }
+  };
+}
+
+/**
+ * Parse a .brd (Test_Link or BRD2), .bdv or GenCAD file into a ParsedPCB. Unreadable
+ * lines become warnings in `diagnostics` (with a `line` number) and are skipped.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @param {string} [format] - detectBoardFormat() result; detected when omitted
+ * @returns {ParsedPCB}
+ */
+function importBoardFile(buffer, format = detectBoardFormat(buffer)) {
+  const bytes = toBytes(buffer);
+  const diagnostics = new pcbImportModel.ParseDiagnostics();
+  let board;
+
+  if (format === 'brd') {
+    const text = bytesToText(startsWithBytes(bytes, BRD_ENCODED_SIGNATURE) ? decodeTestLinkBrd(bytes) : bytes);
+    board = parseTestLinkBrd(text, diagnostics);
+  } else if (format === 'brd2') {
+    board = parseBrd2(bytesToText(bytes), diagnostics);
+  } else if (format === 'bdv') {
+    const plain = bytesToText(bytes.subarray(0, SIGNATURE_SCAN_BYTES)).trimStart().startsWith(BDV_FIRST_LINE);
+    board = parseBdv(bytesToText(plain ? bytes : decodeBdv(bytes)), diagnostics);
+  } else if (format === 'gencad') {
+    board = parseGenCad(bytesToText(bytes), diagnostics);
+  } else {
+    throw new Error(`Not a .brd, .bdv or GenCAD file (${format || 'unknown format'})`);
+  }
+
+  return boardToPcbData(board, diagnostics);
+}
+
+// --- Readings from a second file ---
+// YiDianTong "(Diode value)" files carry the readings for a board whose geometry
+// is in a separate "PCB layer" file.
+
+// part name -> pin name -> net name, for every part pin on a board
+function pinNetNames(pcbData) {
+  const nets = pcbImportModel.toNetIndexMap(pcbData.net_index_to_name);
+  const parts = new Map();
+  for (const block of pcbData.main_data_blocks || []) {
+    const partData = block.DATA && block.DATA.parsed_data;
+    if (!partData || !partData.sub_blocks) continue;
+    const label = partData.sub_blocks.find(sub => sub.type === 'sub_type_06' && sub.label);
+    if (!label) continue;
+    if (!parts.has(label.label)) parts.set(label.label, new Map());
+    const pins = parts.get(label.label);
+    partData.sub_blocks.filter(sub => sub.type === 'sub_type_09').flatMap(sub => sub.pins).forEach((pin, i) => {
+      pins.set(pin.name || String(i + 1), nets.get(pin.net_index) || '');
+    });
+  }
+  return parts;
+}
+
+/**
+ * Copy of `primary` with the diode readings of `secondary` added. A reading goes
+ * to the pin with the same part and pin name, replacing any reading the primary
+ * has there. Failing that it goes to the primary net named like the pin's net in
+ * `secondary`, as `net_readings` (net name -> DiodeReading), which the viewer
+ * treats like a reading on one of the net's pins.
+ * @param {ParsedPCB} primary - board with the geometry
+ * @param {ParsedPCB} secondary - board with the readings
+ * @returns {{data: ParsedPCB, byPin: number, byNet: number, unmatched: {part: string, pin: string, net: string}[]}}
+ */
+function mergeReadings(primary, secondary) {
+  const primaryPins = pinNetNames(primary);
+  const secondaryPins = pinNetNames(secondary);
+  const primaryNets = new Set(pcbImportModel.toNetIndexMap(primary.net_index_to_name).values());
+
+  const readings = new Map([...(primary.diode_readings || new Map())].map(([part, pins]) => [part, new Map(pins)]));
+  const netReadings = new Map(primary.net_readings || []);
+  const unmatched = [];
+  let byPin = 0;
+  let byNet = 0;
+
+  for (const [part, pins] of secondary.diode_readings || new Map()) {
+    for (const [pin, reading] of pins) {
+      if (primaryPins.get(part)?.has(pin)) {
+        if (!readings.has(part)) readings.set(part, new Map());
+        readings.get(part).set(pin, reading);
+        byPin++;
+        continue;
+      }
+      const net = secondaryPins.get(part)?.get(pin) || '';
+      if (net && primaryNets.has(net)) {
+        if (!netReadings.has(net)) netReadings.set(net, reading);
+        byNet++;
+      } else {
+        unmatched.push({ part, pin, net });
+      }
+    }
+  }
+
+  const data = {
+    ...primary,
+    diode_readings: readings,
+    net_readings: netReadings,
+    reading_type: byPin + byNet > 0 ? secondary.reading_type : primary.reading_type
+  };
+  return { data, byPin, byNet, unmatched };
+}
+
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    detectBoardFormat,
+    importBoardFile,
+    mergeReadings,
+    decodeTestLinkBrd,
+    decodeBdv
+  };
+}
@@ -0,0 +1,244 @@
+/* board_query.js
+ * The debug panel's query language over the parsed board model: a query string
+ * is parsed into terms, and filterData / collectMatches find the objects in the
+ * model (blocks, pins, readings, ...) that match it.
+ * Loaded as a plain <script> it defines browser globals (boardview.html); under
+ * Node it exports via module.exports.
+ */
+
+// Debug search query language. Space-separated terms are AND-ed:
+//   layer>16 outer_radius<=5000    numeric comparisons (>, >=, <, <=)
+//   x:100000..200000  x:..0        inclusive ranges, either end may be left open
+//   -net_index:0  -(layer:1)  -VCC negation; only objects that have the negated fields match:
+//                                  the key, every key of the group, or (plain words) any scalar
+//   layer:1 OR layer:16  (a | b) c OR groups, parentheses nest
+//   header.part_group_name:BGA*    dotted paths into nested objects and arrays, * and ? wildcards
+//   net_index:=4  name:"VCC 3V3"   exact matches; x:@y compares two fields
+// Plain words search every shallow value. The parsed query is { any: [[term, ...], ...] },
+// an OR of AND lists, where a term may itself be a { group } query.
+function tokenizeQuery(text) {
+  const tokens = [];
+  const pattern = /\(|\)|\||(?:[^\s()"|]|"[^"]*"?)+/g;
+  let match;
+  while ((match = pattern.exec(text))) tokens.push(match[0]);
+  return tokens;
+}
+
+function parseQuery(queryString) {
+  const tokens = tokenizeQuery(queryString);
+  let pos = 0;
+  const parseGroup = (depth) => {
+    const any = [[]];
+    while (pos < tokens.length) {
+      const token = tokens[pos++];
+      if (token === ')') {
+        if (depth > 0) break;
+        continue; // stray closing parenthesis
+      }
+      if (token === '|' || token === 'OR') {
+        if (any[any.length - 1].length) any.push([]);
+      } else if (token === '(' || (token === '-' && tokens[pos] === '(')) {
+        if (token === '-') pos++;
+        any[any.length - 1].push({ negate: token === '-', group: parseGroup(depth + 1) });
+      } else {
+        any[any.length - 1].push(parseQueryTerm(token));
+      }
+    }
+    return { any: any.filter(all => all.length > 0) };
+  };
+  return parseGroup(0);
+}
+
+function queryNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'bigint') return Number(value);
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+}
+
+function parseQueryTerm(token) {
+  const [, minus, key, op, rawValue] = token.match(/^(-?)(?:([\w.$]+?)(>=|<=|!=|>|<|:|=))?(.*)$/s);
+  const term = { negate: minus === '-', path: key ? key.split('.') : null };
+  let value = rawValue;
+  const quoted = value.length > 1 && value.startsWith('"') && value.endsWith('"');
+  if (quoted) value = value.slice(1, -1);
+
+  if (op === '>' || op === '>=' || op === '<' || op === '<=') {
+    const limit = queryNumber(value);
+    const compare = { '>': (a, b) => a > b, '>=': (a, b) => a >= b, '<': (a, b) => a < b, '<=': (a, b) => a <= b }[op];
+    term.test = v => compare(queryNumber(v), limit);
+    return term;
+  }
+  if (op === '!=') {
+    term.negate = !term.negate;
+    value = value.toLowerCase();
+    term.test = v => String(v).toLowerCase() === value;
+    return term;
+  }
+  if (key && !quoted && value.startsWith('@')) {
+    const otherPath = value.slice(1).split('.');
+    term.test = (v, obj) => resolveQueryPath(obj, otherPath).some(other => String(other) === String(v));
+    return term;
+  }
+  const range = !quoted && key && value.match(/^(-?[\w.]*)\.\.(-?[\w.]*)$/);
+  if (range && (range[1] || range[2])) {
+    const low = range[1] ? queryNumber(range[1]) : -Infinity;
+    const high = range[2] ? queryNumber(range[2]) : Infinity;
+    term.test = v => {
+      const n = queryNumber(v);
+      return n >= low && n <= high;
+    };
+    return term;
+  }
+
+  const exact = quoted || op === '=' || value.startsWith('=');
+  if (!quoted && value.startsWith('=')) value = value.slice(1);
+  value = value.toLowerCase();
+  if (!quoted && /[*?]/.test(value)) {
+    const glob = new RegExp('^' + value.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 's');
+    term.test = v => glob.test(String(v).toLowerCase());
+  } else if (exact) {
+    term.test = v => String(v).toLowerCase() === value;
+  } else {
+    term.test = v => String(v).toLowerCase().includes(value);
+  }
+  return term;
+}
+
+// Values at a dotted path; arrays along the way (and at the end) contribute every element
+function resolveQueryPath(obj, path) {
+  const field = (container, key) => {
+    if (container instanceof Map) return container.has(key) ? container.get(key) : container.get(Number(key));
+    if (key in container) return container[key];
+    const lower = key.toLowerCase();
+    const match = Object.keys(container).find(k => k.toLowerCase() === lower);
+    return match === undefined ? undefined : container[match];
+  };
+  let values = [obj];
+  for (const key of path) {
+    const next = [];
+    for (const value of values) {
+      if (value === null || typeof value !== 'object') continue;
+      const items = Array.isArray(value) && !(key in value) ? value : [value];
+      for (const item of items) {
+        if (item !== null && typeof item === 'object') next.push(field(item, key));
+      }
+    }
+    values = next;
+  }
+  return values.flatMap(v => Array.isArray(v) ? v : [v])
+    .filter(v => v !== null && v !== undefined && typeof v !== 'object');
+}
+
+// Own scalar properties, the values plain words are searched in
+function shallowQueryValues(obj) {
+  const values = [];
+  for (const k in obj) {
+    if (Object.prototype.hasOwnProperty.call(obj, k)) {
+      const val = obj[k];
+      if (val !== null && val !== undefined && typeof val !== 'object') values.push(val);
+    }
+  }
+  return values;
+}
+
+// Whether obj has every field a query tests, so a negation has something to negate:
+// containers without them must not match just because nothing in them was found
+function hasQueryFields(obj, query) {
+  return query.any.every(all => all.every(term => {
+    if (term.group) return hasQueryFields(obj, term.group);
+    if (term.path) return resolveQueryPath(obj, term.path).length > 0;
+    return shallowQueryValues(obj).length > 0;
+  }));
+}
+
+function matchesQueryTerm(obj, term) {
+  if (term.group) {
+    if (term.negate) return hasQueryFields(obj, term.group) && !matchesQueries(obj, term.group);
+    return matchesQueries(obj, term.group);
+  }
+  if (term.path) {
+    const values = resolveQueryPath(obj, term.path);
+    if (values.length === 0) return false;
+    const hit = values.some(v => term.test(v, obj));
+    return term.negate ? !hit : hit;
+  }
+  // General value search across all shallow properties
+  const values = shallowQueryValues(obj);
+  if (values.length === 0) return false;
+  const hit = values.some(v => term.test(v, obj));
+  return term.negate ? !hit : hit;
+}
+
+function matchesQueries(obj, query) {
+  if (!obj || typeof obj !== 'object') return false;
+  return query.any.some(all => all.every(term => matchesQueryTerm(obj, term)));
+}
+
+function filterData(data, queries, path = "", depth = 0) {
+  if (depth > 10) return undefined; // safety limit
+
+  if (Array.isArray(data)) {
+    const filteredArr = [];
+    for (let i = 0; i < data.length; i++) {
+      const item = data[i];
+      if (item && typeof item === 'object') {
+        if (matchesQueries(item, queries)) {
+          filteredArr.push(item);
+        } else {
+          const childFilter = filterData(item, queries, path, depth + 1);
+          if (childFilter !== undefined && (Object.keys(childFilter).length > 0 || (Array.isArray(childFilter) && childFilter.length > 0))) {
+            filteredArr.push(childFilter);
+          }
+        }
+      }
+    }
+    return filteredArr.length > 0 ? filteredArr : undefined;
+  } else if (data && typeof data === 'object') {
+    // The root is the whole board, only what is inside it can match
+    if (depth > 0 && matchesQueries(data, queries)) {
+      return data;
+    }
+    const filteredObj = {};
+    let hasMatch = false;
+    for (const key in data) {
+      if (Object.prototype.hasOwnProperty.call(data, key)) {
+        const item = data[key];
+        if (item && typeof item === 'object') {
+          const childFilter = filterData(item, queries, path, depth + 1);
+          if (childFilter !== undefined && (Object.keys(childFilter).length > 0 || (Array.isArray(childFilter) && childFilter.length > 0))) {
+            filteredObj[key] = childFilter;
+            hasMatch = true;
+          }
+        }
+      }
+    }
+    return hasMatch ? filteredObj : undefined;
+  }
+  return undefined;
+}
+
+// Matching objects as a flat list of { path, value }; like filterData, a match is not searched further
+function collectMatches(data, queries, path = '', depth = 0, out = []) {
+  if (depth > 10 || !data || typeof data !== 'object' || ArrayBuffer.isView(data)) return out;
+  if (depth > 0 && matchesQueries(data, queries)) {
+    out.push({ path, value: data });
+    return out;
+  }
+  const entries = data instanceof Map ? [...data.entries()] : Object.entries(data);
+  for (const [key, item] of entries) {
+    const childPath = Array.isArray(data) ? `${path}[${key}]` : path ? `${path}.${key}` : String(key);
+    collectMatches(item, queries, childPath, depth + 1, out);
+  }
+  return out;
+}
+
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseQuery,
+    matchesQueries,
+    filterData,
+    collectMatches
+  };
+}
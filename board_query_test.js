@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/* board_query_test.js
+ * Checks for the debug search query language (board_query.js), run by npm test
+ * on a small board model shaped like the parser's output.
+ *
+ * Usage: node board_query_test.js
+ */
+
+const assert = require('assert/strict');
+const { parseQuery, filterData, collectMatches } = require('./board_query.js');
+
+const board = {
+  main_data_blocks: [
+    { SEGMENT: { layer: 1, x1: 0, y1: 0, x2: 100000, y2: 0, scale: 5000, net_index: 3 } },
+    { SEGMENT: { layer: 16, x1: 0, y1: 0, x2: 0, y2: 200000, scale: 5000, net_index: 0 } },
+    { VIA: { x: 100000, y: 0, outer_radius: 8000, inner_radius: 4000, net_index: 3, via_text: '' } },
+    { TEXT: { pos_x: 0, pos_y: 0, text: 'VCC_3V3' } }
+  ],
+  net_index_to_name: new Map([[0, 'GND'], [3, 'VCC_3V3']]),
+  diode_readings: new Map([['U1', new Map([['1', { displayValue: '0.45', rawValue: '0.45' }]])]]),
+  reading_type: 'Readings'
+};
+
+const matchedPaths = query => collectMatches(board, parseQuery(query)).map(match => match.path);
+
+const cases = [
+  ['keyed term', () => {
+    assert.deepEqual(matchedPaths('layer:=1'), ['main_data_blocks[0].SEGMENT']);
+  }],
+  ['OR of keyed terms', () => {
+    assert.deepEqual(matchedPaths('layer:=1 OR layer:16'),
+      ['main_data_blocks[0].SEGMENT', 'main_data_blocks[1].SEGMENT']);
+  }],
+  ['numeric comparison and range', () => {
+    assert.deepEqual(matchedPaths('outer_radius>=8000'), ['main_data_blocks[2].VIA']);
+    assert.deepEqual(matchedPaths('y2:100000..'), ['main_data_blocks[1].SEGMENT']);
+  }],
+  ['negated key only matches objects with the key', () => {
+    assert.deepEqual(matchedPaths('-net_index:0'), ['main_data_blocks[0].SEGMENT', 'main_data_blocks[2].VIA']);
+  }],
+  ['negated group only matches objects with its keys', () => {
+    assert.deepEqual(matchedPaths('-(layer:=1)'), ['main_data_blocks[1].SEGMENT']);
+    assert.deepEqual(matchedPaths('-(layer:=1 | net_index:0)'), []);
+    assert.deepEqual(matchedPaths('net_index:3 -(layer:16)'), ['main_data_blocks[0].SEGMENT']);
+  }],
+  ['negated word only matches objects with scalar fields', () => {
+    assert.deepEqual(matchedPaths('-VCC'),
+      ['main_data_blocks[0].SEGMENT', 'main_data_blocks[1].SEGMENT', 'main_data_blocks[2].VIA',
+        'diode_readings.U1.1']);
+  }],
+  ['negations never return the whole tree', () => {
+    for (const query of ['-(layer:=1)', '-VCC', '-net_index:0']) {
+      const filtered = filterData(board, parseQuery(query));
+      assert.notEqual(filtered, board, query);
+      assert.deepEqual(Object.keys(filtered), ['main_data_blocks'], query);
+      assert.ok(!filtered.main_data_blocks.some(block => block.TEXT), query);
+    }
+  }]
+];
+
+let failures = 0;
+for (const [name, run] of cases) {
+  try {
+    run();
+    console.log(`ok   ${name}`);
+  } catch (err) {
+    failures++;
+    console.error(`FAIL ${name}: ${err.message}`);
+  }
+}
+
+console.log(`${cases.length - failures}/${cases.length} query checks passed`);
+process.exitCode = failures > 0 ? 1 : 0;
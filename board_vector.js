@@ -0,0 +1,533 @@
+/* board_vector.js
+ * Vector snapshots of the board view for repair tickets and printed bench sheets.
+ * Grown out of render_layers.js' SVG drawing: the board is drawn once, the way
+ * boardview.html shows it (visible layers, layer colours, width scales, opacities,
+ * highlighted net, part labels and freeform notes), into a display list of layer
+ * groups, which is then written out as SVG or as a one-page PDF.
+ *
+ * Output units are mils with y pointing down, so the board prints at 1:1.
+ */
+
+// The browser loads pcb_parser.js as a classic script; its consts are global bindings
+const pcbVectorModel = typeof module !== 'undefined' && module.exports
+  ? require('./pcb_parser.js')
+  : { SILKSCREEN_LAYER, OUTLINE_LAYER, PART_OUTLINE_LAYER, COPPER_TOP_LAYER, RAW_UNITS_PER_MIL };
+
+const VECTOR_UNITS_PER_MIL = pcbVectorModel.RAW_UNITS_PER_MIL;
+const VECTOR_MARGIN = 50;          // mils of background around the board
+const VECTOR_MIN_STROKE = 1;       // mils, so hairline outlines still print
+const VECTOR_LABEL_SIZE = 13.5;    // mils, the viewer's unscaled part label height
+const VECTOR_CHAR_WIDTH = 0.6;     // of the font size, for monospace label boxes
+const VECTOR_DIM = 0.4;            // opacity factor for everything off the highlighted net
+
+// Same defaults as the viewer's settings and CSS palette, for callers outside the browser
+const VECTOR_VIEW_DEFAULTS = {
+  visibleLayers: null,             // null draws every layer
+  layerColors: {},                 // layer → '#rrggbb'; missing layers use the palette
+  opacities: { trace: 0.75, outline: 0.75, silkscreen: 1.0, pins: 1.0, part_outlines: 1.0, vias: 1.0, partLabels: 0.8 },
+  widthScales: { trace: 1.0, silkscreen: 1.0, boardOutline: 1.0, partOutline: 1.0, partLabels: 1.0 },
+  colors: {
+    background: '#1e1e1e', silkscreen: '#bbf0f0', outline: '#ff00ff', partOutlines: '#008080',
+    pins: '#800000', ground: '#606060', nc: '#008080', testPads: '#c09000', highlight: '#ffffff',
+    palette: ['#800000', '#800000', '#ff0000', '#008000', '#0080c0', '#000080', '#0000ff',
+      '#800080', '#ff00ff', '#808000', '#ff8000', '#ffcc00', '#ffff00']
+  },
+  showPins: true,
+  showTestPads: true,
+  showPartLabels: true,
+  showViaNumbers: true,
+  highlightedNetId: null,
+  notes: [],                       // freeform notes: [{ x, y, title, text, color }] in board units
+  side: null,                      // folded boards: 'top' or 'bottom' keeps only that side's parts
+  mirror: false,                   // folded top side is seen mirrored, as in the viewer
+  title: ''
+};
+
+function vectorNumber(value) {
+  return String(Math.round(value * 100) / 100 + 0);
+}
+
+function vectorLayerOf(item) {
+  return item.layer >= 1000 ? item.layer - 1000 : item.layer;
+}
+
+/**
+ * Draw a board into layer groups of simple shapes, in mils with y down.
+ * Items: { type: 'line', x1, y1, x2, y2, width }, { type: 'arc', x, y, r, start, end, width }
+ * (degrees, counter-clockwise as on the board), { type: 'circle', x, y, r, stroke?, strokeWidth? },
+ * { type: 'polygon', points }, { type: 'text', x, y, size, text } — each with color and opacity.
+ * @param {ParsedPCB} pcbData - the data as rendered, folded or not
+ * @param {Object} [view] - see VECTOR_VIEW_DEFAULTS; the viewer passes its live state
+ * @returns {{width: number, height: number, background: string, title: string,
+ *   groups: {id: string, name: string, items: Object[]}[]}}
+ */
+function drawBoardView(pcbData, view = {}) {
+  const { SILKSCREEN_LAYER, OUTLINE_LAYER, PART_OUTLINE_LAYER, COPPER_TOP_LAYER } = pcbVectorModel;
+  view = {
+    ...VECTOR_VIEW_DEFAULTS,
+    ...view,
+    opacities: { ...VECTOR_VIEW_DEFAULTS.opacities, ...view.opacities },
+    widthScales: { ...VECTOR_VIEW_DEFAULTS.widthScales, ...view.widthScales },
+    colors: { ...VECTOR_VIEW_DEFAULTS.colors, ...view.colors }
+  };
+  const { opacities, widthScales, colors } = view;
+  const visibleLayers = view.visibleLayers ? new Set(view.visibleLayers) : null;
+  const layerVisible = layer => !visibleLayers || visibleLayers.has(layer);
+  const onShownSide = item => !view.side || !!item.isTopSideGroup === (view.side === 'top');
+  const nets = pcbData.net_index_to_name instanceof Map
+    ? pcbData.net_index_to_name
+    : new Map(Object.entries(pcbData.net_index_to_name || {}).map(([key, name]) => [Number(key), name]));
+
+  const blocks = pcbData.main_data_blocks || [];
+  const segments = blocks.filter(block => block.SEGMENT).map(block => block.SEGMENT);
+  const arcs = blocks.filter(block => block.ARC).map(block => block.ARC);
+  const vias = blocks.filter(block => block.VIA).map(block => block.VIA).filter(onShownSide);
+  const testPads = blocks.filter(block => block.TEST_PAD).map(block => block.TEST_PAD).filter(onShownSide);
+  const parts = blocks
+    .filter(block => block.DATA && block.DATA.parsed_data && block.DATA.parsed_data.sub_blocks && onShownSide(block.DATA))
+    .map(block => block.DATA.parsed_data);
+
+  // Bounds as the viewer takes them: traces, arcs and vias
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const grow = (x1, y1, x2, y2) => {
+    minX = Math.min(minX, x1, x2); maxX = Math.max(maxX, x1, x2);
+    minY = Math.min(minY, y1, y2); maxY = Math.max(maxY, y1, y2);
+  };
+  segments.forEach(s => grow(s.x1, s.y1, s.x2, s.y2));
+  arcs.forEach(a => grow(a.x1 - a.r, a.y1 - a.r, a.x1 + a.r, a.y1 + a.r));
+  vias.forEach(v => grow(v.x - v.outer_radius, v.y - v.outer_radius, v.x + v.outer_radius, v.y + v.outer_radius));
+  if (minX === Infinity) minX = minY = maxX = maxY = 0;
+
+  const mapX = x => (view.mirror ? maxX - x : x - minX) / VECTOR_UNITS_PER_MIL + VECTOR_MARGIN;
+  const mapY = y => (maxY - y) / VECTOR_UNITS_PER_MIL + VECTOR_MARGIN;
+  const mils = raw => raw / VECTOR_UNITS_PER_MIL;
+  const mapAngles = (start, end) => view.mirror ? [180 - end, 180 - start] : [start, end];
+
+  // Highlighting brightens the selected net and dims everything else, like applyHighlightToObjects
+  const tone = (netId, color, opacity) => {
+    if (view.highlightedNetId === null || view.highlightedNetId === undefined) return { color, opacity };
+    return netId === view.highlightedNetId
+      ? { color: colors.highlight, opacity: 1 }
+      : { color, opacity: opacity * VECTOR_DIM };
+  };
+
+  const populatedLayers = [...new Set([...segments, ...arcs].map(vectorLayerOf))]
+    .filter(layer => layer <= COPPER_TOP_LAYER).sort((a, b) => a - b);
+  const displayMap = Object.fromEntries(populatedLayers.map((layer, i) => [layer, i + 1]));
+  const layerColor = layer => view.layerColors[layer]
+    || (layer === SILKSCREEN_LAYER ? colors.silkscreen
+      : layer === OUTLINE_LAYER ? colors.outline
+        : layer === PART_OUTLINE_LAYER ? colors.partOutlines
+          : colors.palette[layer % colors.palette.length]);
+
+  const groups = new Map();
+  const groupFor = (id, name) => {
+    if (!groups.has(id)) groups.set(id, { id, name, items: [] });
+    return groups.get(id).items;
+  };
+  const layerGroup = layer => groupFor(`layer-${layer}`,
+    layer === SILKSCREEN_LAYER ? 'Silkscreen'
+      : layer === OUTLINE_LAYER ? 'Outlines'
+        : layer > COPPER_TOP_LAYER ? `Layer ${layer}` : `Layer ${displayMap[layer] ?? layer}`);
+  // Fix the drawing order up front: copper bottom to top, then silkscreen and outline
+  [...populatedLayers, SILKSCREEN_LAYER, OUTLINE_LAYER].filter(layerVisible).forEach(layerGroup);
+
+  // --- Traces, silkscreen and board outline ---
+  for (const item of [...segments, ...arcs]) {
+    const layer = vectorLayerOf(item);
+    if (!layerVisible(layer)) continue;
+    if (layer === SILKSCREEN_LAYER && !onShownSide(item)) continue;
+    const [widthScale, opacity] = layer === SILKSCREEN_LAYER ? [widthScales.silkscreen, opacities.silkscreen]
+      : layer === OUTLINE_LAYER ? [widthScales.boardOutline, opacities.outline]
+        : [widthScales.trace, opacities.trace];
+    const width = Math.max(mils(item.width ?? item.scale ?? 0) * widthScale, VECTOR_MIN_STROKE);
+    const style = { width, ...tone(item.net_index || 0, layerColor(layer), opacity) };
+    if (item.r !== undefined) {
+      const [start, end] = mapAngles(item.angle_start / 10000, item.angle_end / 10000);
+      layerGroup(layer).push({ type: 'arc', x: mapX(item.x1), y: mapY(item.y1), r: mils(item.r), start, end, ...style });
+    } else {
+      layerGroup(layer).push({ type: 'line', x1: mapX(item.x1), y1: mapY(item.y1), x2: mapX(item.x2), y2: mapY(item.y2), ...style });
+    }
+  }
+
+  // --- Part outlines ---
+  const partOutlines = layerVisible(PART_OUTLINE_LAYER) ? groupFor('part-outlines', 'Part Outlines') : null;
+  const partName = part => {
+    const label = part.sub_blocks.find(sub => sub.type === 'sub_type_06' && sub.label);
+    return label ? label.label : '';
+  };
+  if (partOutlines) {
+    for (const part of parts) {
+      const isNC = partName(part).toUpperCase().endsWith('NC');
+      const style = tone(undefined, isNC ? '#888888' : layerColor(PART_OUTLINE_LAYER),
+        isNC ? opacities.part_outlines * 0.4 : opacities.part_outlines);
+      for (const sub of part.sub_blocks) {
+        const width = Math.max(mils((sub.scale || 20000) * 5) * widthScales.partOutline, VECTOR_MIN_STROKE);
+        if (sub.type === 'sub_type_05') {
+          partOutlines.push({ type: 'line', x1: mapX(sub.x1), y1: mapY(sub.y1), x2: mapX(sub.x2), y2: mapY(sub.y2), width, ...style });
+        } else if (sub.type === 'sub_type_01') {
+          const [start, end] = mapAngles(sub.angle_start / 10000, sub.angle_end / 10000);
+          partOutlines.push({ type: 'arc', x: mapX(sub.x1), y: mapY(sub.y1), r: mils(sub.radius), start, end, width, ...style });
+        }
+      }
+    }
+  }
+
+  // --- Vias: a translucent ring, and a half disc in each end layer's colour on that layer ---
+  const viaRings = groupFor('vias', 'Vias');
+  for (const via of vias) {
+    const x = mapX(via.x), y = mapY(via.y);
+    const rInner = mils(via.inner_radius);
+    const netId = via.net_index || 0;
+    viaRings.push({ type: 'circle', x, y, r: mils(via.outer_radius), ...tone(netId, '#ffffff', 0.4 * opacities.vias) });
+    [[via.layer_a_index, 90], [via.layer_b_index, -90]].forEach(([layer, from]) => {
+      if (!layerVisible(layer)) return;
+      const points = [[x, y]];
+      for (let i = 0; i <= 12; i++) {
+        const angle = (from + 180 * i / 12) * Math.PI / 180;
+        points.push([x + rInner * Math.cos(angle), y - rInner * Math.sin(angle)]);
+      }
+      layerGroup(layer).push({ type: 'polygon', points, ...tone(netId, layerColor(layer), opacities.vias) });
+    });
+    if (view.showViaNumbers) {
+      [[via.layer_a_index, -1], [via.layer_b_index, 1]].forEach(([layer, side]) => {
+        viaRings.push({
+          type: 'text', x: x + side * rInner / 2, y, size: rInner * 0.95,
+          text: String(displayMap[layer] ?? layer), color: '#ffffff', opacity: 1
+        });
+      });
+    }
+  }
+
+  // --- Pads: drawOptimizedPin's shapes, with the drill as a black hole ---
+  const padItems = (pad, color, opacity, netId) => {
+    const outline = (pad.outlines && pad.outlines[0]) || pad;
+    let width = mils(outline.width || pad.width || 0) || 1;
+    let height = mils(outline.height || pad.height || 0) || 1;
+    const shape = outline.shape ?? pad.shape;
+    const rotation = (view.mirror ? 1 : -1) * ((pad.rotation || 0) / 10000);
+    const x = mapX(pad.x), y = mapY(pad.y);
+    const style = tone(netId, color, opacity);
+    const items = [];
+    if (shape === 1) {
+      if (Math.abs(width - height) < 0.01) {
+        items.push({ type: 'circle', x, y, r: width / 2, ...style });
+      } else {
+        // Oblong pad: a round-capped stroke along the long side
+        if ((rotation % 180) !== 0 && (rotation % 90) === 0) [width, height] = [height, width];
+        const half = Math.abs(width - height) / 2;
+        const [dx, dy] = width > height ? [half, 0] : [0, half];
+        items.push({ type: 'line', x1: x - dx, y1: y - dy, x2: x + dx, y2: y + dy, width: Math.min(width, height), ...style });
+      }
+    } else {
+      const angle = rotation * Math.PI / 180;
+      const points = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([cx, cy]) => {
+        const [px, py] = [cx * width / 2, cy * height / 2];
+        return [x + px * Math.cos(angle) - py * Math.sin(angle), y + px * Math.sin(angle) + py * Math.cos(angle)];
+      });
+      items.push({ type: 'polygon', points, ...style });
+    }
+    if (pad.inner_diameter > 0) {
+      const r = Math.min(mils(pad.inner_diameter) / 2, Math.min(width, height) / 2 * 0.9);
+      items.push({ type: 'circle', x, y, r, color: '#000000', opacity: style.opacity });
+    }
+    return items;
+  };
+
+  if (view.showPins) {
+    const pins = groupFor('pins', 'Pin Geometry');
+    for (const part of parts) {
+      for (const pin of part.sub_blocks.filter(sub => sub.type === 'sub_type_09').flatMap(sub => sub.pins)) {
+        const netId = pin.net_index || 0;
+        const netName = nets.get(netId) || '';
+        const color = netName === 'GND' ? colors.ground : netName === 'NC' ? colors.nc : colors.pins;
+        pins.push(...padItems(pin, color, opacities.pins, netId));
+      }
+    }
+  }
+  if (view.showTestPads && testPads.length) {
+    const pads = groupFor('test-pads', 'Test Pads');
+    for (const pad of testPads) pads.push(...padItems(pad, colors.testPads, opacities.pins, pad.net_index || 0));
+  }
+
+  // --- Part labels: centred on the part and sized to fit it, as buildComponentGroups does ---
+  if (view.showPartLabels) {
+    const labels = groupFor('part-labels', 'Part Labels');
+    for (const part of parts) {
+      const texts = part.sub_blocks.filter(sub => sub.type === 'sub_type_06' && sub.label);
+      if (!texts.length) continue;
+      const name = texts[0].label;
+      const isNC = name.toUpperCase().endsWith('NC');
+      const isTestPad = name.startsWith('TP');
+
+      let bx1 = Infinity, by1 = Infinity, bx2 = -Infinity, by2 = -Infinity;
+      const extend = (x, y) => {
+        bx1 = Math.min(bx1, x); bx2 = Math.max(bx2, x);
+        by1 = Math.min(by1, y); by2 = Math.max(by2, y);
+      };
+      for (const sub of part.sub_blocks) {
+        if (sub.type === 'sub_type_05') { extend(sub.x1, sub.y1); extend(sub.x2, sub.y2); }
+        if (sub.type === 'sub_type_09') sub.pins.forEach(pin => extend(pin.x, pin.y));
+      }
+      const hasBounds = bx1 !== Infinity;
+      const cx = mapX(hasBounds ? (bx1 + bx2) / 2 : texts[0].x);
+      const cy = mapY(hasBounds ? (by1 + by2) / 2 : texts[0].y);
+      const boxWidth = hasBounds ? mils(bx2 - bx1) : 0;
+      const boxHeight = hasBounds ? mils(by2 - by1) : 0;
+
+      const lines = [];
+      for (const { label } of texts) {
+        const textWidth = label.length * VECTOR_CHAR_WIDTH;
+        let size = VECTOR_LABEL_SIZE;
+        if (boxWidth > 0 && boxHeight > 0 && !isTestPad) {
+          const fit = Math.min(boxWidth * 0.9 / textWidth, boxHeight * 0.9 / 1.2);
+          size = Math.min(Math.max(size, fit * 0.75), fit);
+        }
+        size *= widthScales.partLabels;
+        if (size > 0 && textWidth * size >= 0.5) lines.push({ label, size });
+      }
+      if (!lines.length) continue;
+
+      const opacity = opacities.partLabels;
+      const totalHeight = lines.reduce((sum, line) => sum + line.size * 1.2, 0);
+      const boxW = Math.max(...lines.map(line => line.label.length * VECTOR_CHAR_WIDTH * line.size)) + 2;
+      const top = cy - totalHeight / 2;
+      labels.push({
+        type: 'polygon',
+        points: [[cx - boxW / 2, top - 1], [cx + boxW / 2, top - 1], [cx + boxW / 2, top + totalHeight + 1], [cx - boxW / 2, top + totalHeight + 1]],
+        color: '#000000', opacity: 0.7 * opacity
+      });
+      let lineTop = top;
+      for (const { label, size } of lines) {
+        labels.push({
+          type: 'text', x: cx, y: lineTop + size * 0.6, size, text: label,
+          color: isNC ? '#888888' : layerColor(SILKSCREEN_LAYER), opacity: isNC ? 0.6 * opacity : opacity
+        });
+        lineTop += size * 1.2;
+      }
+    }
+  }
+
+  // --- Freeform notes: the viewer's dot, with the title beside it for print ---
+  if (view.notes && view.notes.length) {
+    const notes = groupFor('notes', 'Notes');
+    for (const note of view.notes) {
+      const x = mapX(note.x), y = mapY(note.y);
+      notes.push({ type: 'circle', x, y, r: 15, color: note.color || '#38bdf8', opacity: 1, stroke: '#ffffff', strokeWidth: 4 });
+      const caption = [note.title, note.text].filter(Boolean).join(': ');
+      if (caption) {
+        const size = 20;
+        notes.push({ type: 'text', x: x + 25 + caption.length * VECTOR_CHAR_WIDTH * size / 2, y, size, text: caption, color: note.color || '#38bdf8', opacity: 1 });
+      }
+    }
+  }
+
+  return {
+    width: mils(maxX - minX) + 2 * VECTOR_MARGIN,
+    height: mils(maxY - minY) + 2 * VECTOR_MARGIN,
+    background: colors.background,
+    title: view.title,
+    groups: [...groups.values()].filter(group => group.items.length)
+  };
+}
+
+// Point on an arc at `degrees`, in y-down output space
+function vectorArcPoint(item, degrees) {
+  const angle = degrees * Math.PI / 180;
+  return [item.x + item.r * Math.cos(angle), item.y - item.r * Math.sin(angle)];
+}
+
+function vectorArcSweep(item) {
+  const sweep = ((item.end - item.start) % 360 + 360) % 360;
+  return sweep === 0 ? 360 : sweep;
+}
+
+// --- SVG ---
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function svgItem(item) {
+  const n = vectorNumber;
+  const stroke = `stroke="${item.color}" stroke-width="${n(item.width)}" stroke-opacity="${n(item.opacity)}" stroke-linecap="round"`;
+  const fill = `fill="${item.color}" fill-opacity="${n(item.opacity)}"`;
+  switch (item.type) {
+    case 'line':
+      return `<line x1="${n(item.x1)}" y1="${n(item.y1)}" x2="${n(item.x2)}" y2="${n(item.y2)}" ${stroke}/>`;
+    case 'arc': {
+      const sweep = vectorArcSweep(item);
+      const [sx, sy] = vectorArcPoint(item, item.start);
+      if (sweep === 360) return `<circle cx="${n(item.x)}" cy="${n(item.y)}" r="${n(item.r)}" fill="none" ${stroke}/>`;
+      const [ex, ey] = vectorArcPoint(item, item.start + sweep);
+      // Counter-clockwise on the board is sweep-flag 0 once y points down
+      return `<path d="M ${n(sx)} ${n(sy)} A ${n(item.r)} ${n(item.r)} 0 ${sweep > 180 ? 1 : 0} 0 ${n(ex)} ${n(ey)}" fill="none" ${stroke}/>`;
+    }
+    case 'circle': {
+      const outline = item.stroke ? ` stroke="${item.stroke}" stroke-width="${n(item.strokeWidth)}"` : '';
+      return `<circle cx="${n(item.x)}" cy="${n(item.y)}" r="${n(item.r)}" ${fill}${outline}/>`;
+    }
+    case 'polygon':
+      return `<polygon points="${item.points.map(([x, y]) => `${n(x)},${n(y)}`).join(' ')}" ${fill}/>`;
+    case 'text':
+      return `<text x="${n(item.x)}" y="${n(item.y)}" font-size="${n(item.size)}" text-anchor="middle" dominant-baseline="central" ${fill}>${escapeXml(item.text)}</text>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * SVG of the board view; each layer is an Inkscape layer group.
+ * @param {ParsedPCB} pcbData
+ * @param {Object} [view] - see drawBoardView
+ * @returns {string}
+ */
+function exportSvg(pcbData, view) {
+  const drawing = drawBoardView(pcbData, view);
+  const n = vectorNumber;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+      `width="${n(drawing.width / 1000)}in" height="${n(drawing.height / 1000)}in" viewBox="0 0 ${n(drawing.width)} ${n(drawing.height)}">`
+  ];
+  if (drawing.title) lines.push(`<title>${escapeXml(drawing.title)}</title>`);
+  lines.push(`<rect width="100%" height="100%" fill="${drawing.background}"/>`);
+  lines.push('<g font-family="monospace">');
+  for (const group of drawing.groups) {
+    lines.push(`<g id="${group.id}" inkscape:groupmode="layer" inkscape:label="${escapeXml(group.name)}">`);
+    for (const item of group.items) lines.push(svgItem(item));
+    lines.push('</g>');
+  }
+  lines.push('</g>', '</svg>', '');
+  return lines.join('\n');
+}
+
+// --- PDF ---
+// One uncompressed page the size of the board, in the same mils as the SVG; each
+// layer group is an optional content group so PDF viewers can toggle it.
+
+function pdfColor(css) {
+  const hex = String(css).replace('#', '');
+  const full = hex.length === 3 ? hex.replace(/./g, c => c + c) : hex.padEnd(6, '0');
+  return [0, 2, 4].map(i => vectorNumber(parseInt(full.slice(i, i + 2), 16) / 255 || 0)).join(' ');
+}
+
+function pdfString(text) {
+  // Standard-font strings are single-byte; keep the content stream ASCII
+  return `(${String(text).replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, c => '\\' + c)})`;
+}
+
+// Cubic Bézier pieces of at most 90° for an arc, as PDF path operators
+function pdfArcPath(item, sweep) {
+  const n = vectorNumber;
+  const pieces = Math.ceil(sweep / 90);
+  const step = sweep / pieces;
+  const k = 4 / 3 * Math.tan(step * Math.PI / 720) * item.r;
+  const ops = [];
+  for (let i = 0; i < pieces; i++) {
+    const a0 = (item.start + i * step) * Math.PI / 180;
+    const a1 = (item.start + (i + 1) * step) * Math.PI / 180;
+    const [x0, y0] = vectorArcPoint(item, item.start + i * step);
+    const [x3, y3] = vectorArcPoint(item, item.start + (i + 1) * step);
+    if (i === 0) ops.push(`${n(x0)} ${n(y0)} m`);
+    ops.push(`${n(x0 - k * Math.sin(a0))} ${n(y0 - k * Math.cos(a0))} ${n(x3 + k * Math.sin(a1))} ${n(y3 + k * Math.cos(a1))} ${n(x3)} ${n(y3)} c`);
+  }
+  return ops.join(' ');
+}
+
+/**
+ * One-page PDF of the board view, at 1:1 scale.
+ * @param {ParsedPCB} pcbData
+ * @param {Object} [view] - see drawBoardView
+ * @returns {Uint8Array}
+ */
+function exportPdf(pcbData, view) {
+  const drawing = drawBoardView(pcbData, view);
+  const n = vectorNumber;
+  const ptPerMil = 72 / 1000;
+  const pageWidth = drawing.width * ptPerMil;
+  const pageHeight = drawing.height * ptPerMil;
+
+  const alphas = new Map();
+  const alphaState = opacity => {
+    const key = n(opacity);
+    if (!alphas.has(key)) alphas.set(key, `/GS${alphas.size}`);
+    return alphas.get(key);
+  };
+
+  // Mils with y down, like the SVG; text flips itself back upright through Tm
+  const ops = [`${n(ptPerMil)} 0 0 ${n(-ptPerMil)} 0 ${n(pageHeight)} cm`, '1 J 1 j'];
+  ops.push(`${pdfColor(drawing.background)} rg 0 0 ${n(drawing.width)} ${n(drawing.height)} re f`);
+  drawing.groups.forEach((group, index) => {
+    ops.push(`/OC /OC${index} BDC`);
+    for (const item of group.items) {
+      ops.push(`${alphaState(item.opacity)} gs`);
+      switch (item.type) {
+        case 'line':
+          ops.push(`${pdfColor(item.color)} RG ${n(item.width)} w ${n(item.x1)} ${n(item.y1)} m ${n(item.x2)} ${n(item.y2)} l S`);
+          break;
+        case 'arc':
+          ops.push(`${pdfColor(item.color)} RG ${n(item.width)} w ${pdfArcPath(item, vectorArcSweep(item))} S`);
+          break;
+        case 'circle': {
+          const path = pdfArcPath({ ...item, start: 0 }, 360) + ' h';
+          ops.push(`${pdfColor(item.color)} rg ${path} f`);
+          if (item.stroke) ops.push(`${pdfColor(item.stroke)} RG ${n(item.strokeWidth)} w ${path} S`);
+          break;
+        }
+        case 'polygon':
+          ops.push(`${pdfColor(item.color)} rg ${item.points.map(([x, y], i) => `${n(x)} ${n(y)} ${i ? 'l' : 'm'}`).join(' ')} h f`);
+          break;
+        case 'text': {
+          const x = item.x - item.text.length * VECTOR_CHAR_WIDTH * item.size / 2;
+          const y = item.y + item.size * 0.35;
+          ops.push(`${pdfColor(item.color)} rg BT /F1 ${n(item.size)} Tf 1 0 0 -1 ${n(x)} ${n(y)} Tm ${pdfString(item.text)} Tj ET`);
+          break;
+        }
+      }
+    }
+    ops.push('EMC');
+  });
+  const content = ops.join('\n');
+
+  // Objects: 1 catalog, 2 pages, 3 page, 4 content, 5 font, then one per layer group
+  const groupObject = index => 6 + index;
+  const objects = [
+    `<< /Type /Catalog /Pages 2 0 R /OCProperties << /OCGs [${drawing.groups.map((g, i) => `${groupObject(i)} 0 R`).join(' ')}] ` +
+      `/D << /Order [${drawing.groups.map((g, i) => `${groupObject(i)} 0 R`).join(' ')}] >> >> >>`,
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(pageWidth)} ${n(pageHeight)}] /Contents 4 0 R ` +
+      `/Resources << /Font << /F1 5 0 R >> ` +
+      `/ExtGState << ${[...alphas].map(([alpha, name]) => `${name} << /CA ${alpha} /ca ${alpha} >>`).join(' ')} >> ` +
+      `/Properties << ${drawing.groups.map((g, i) => `/OC${i} ${groupObject(i)} 0 R`).join(' ')} >> >> >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>',
+    ...drawing.groups.map(group => `<< /Type /OCG /Name ${pdfString(group.name)} >>`)
+  ];
+  if (drawing.title) {
+    objects.push(`<< /Title ${pdfString(drawing.title)} /Producer (WebPCBViewer) >>`);
+  }
+
+  let pdf = '%PDF-1.5\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R${drawing.title ? ` /Info ${objects.length} 0 R` : ''} >>\n`;
+  pdf += `startxref\n${xref}\n%%EOF\n`;
+  return new TextEncoder().encode(pdf);
+}
+
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    drawBoardView,
+    exportSvg,
+    exportPdf
+  };
+}
@@ -0,0 +1,2066 @@
+/* pcb_parser.js
+ * Parser for XZZPCB V1.0 (.pcb) boardview files, and PCBWriter to write the
+ * parsed model back out.
+ * The one parser for every page (boardview.html, render_layers.html,
+ * part_block_test.html, raw_parser_test.html) and the pcb_to_json.js CLI:
+ * no DOM, no CDN dependencies. Loaded as a plain <script> it defines browser
+ * globals; under Node the public pieces are exported via module.exports.
+ */
+
+/*
+ * Output schema of PCBParser#parse. Coordinates are raw file units
+ * (XY_SCALE = 1); arc, part and pin angles are in 1/10000 degree.
+ *
+ * @typedef {Object} ParsedPCB
+ * @property {Object[]} main_data_blocks - one single-key object per block, in file order:
+ *   { ARC:     { layer, x1, y1, r, angle_start, angle_end, scale, net_index } }
+ *   { VIA:     { x, y, outer_radius, inner_radius, layer_a_index, layer_b_index, net_index, via_text } }
+ *   { SEGMENT: { layer, x1, y1, x2, y2, scale, net_index } }
+ *   { TEXT:    { unknown_1, pos_x, pos_y, text_size, divider, empty, one, text_length, text } }
+ *   { DATA:    { block_size, encrypted_data?, decrypted_data?, parsed_data: PartData|null } }
+ *   { TEST_PAD:   { block_size, ...Pin } } - board-level test point, not owned by a part
+ *   { UNKNOWN_03: { block_size, data: number[] } } - kept undecoded: the raw body bytes only,
+ *     as no sample board has a 0x03 block to work its layout out from
+ * @property {Map<number, string>} net_index_to_name
+ * @property {Map<string, Map<string, DiodeReading>>} diode_readings - part name -> pin name -> reading
+ * @property {string} reading_type - 'Resistance', 'Voltage', ...; 'Readings' when unknown or absent
+ * @property {Object[]} diagnostics - ParseDiagnostics entries, empty for a clean parse
+ * @property {FileLayout} layout - file details outside the model, for PCBWriter
+ *
+ * @typedef {Object} FileLayout
+ * @property {number} xor_key - byte at 0x10, 0 when the file is not XORed
+ * @property {number[]} image_block - body of the block between the main data and
+ *   the net list (paths of the board photos linked in the original tool), undecoded
+ * @property {string|null} reading_type_label - raw type string after the diode
+ *   header (one byte per char), null when the file has no diode section
+ * @property {string[][]} diode_order - [part, pin] of each diode reading in file order
+ *
+ * @typedef {Object} PartData - decrypted DATA (0x07) block
+ * @property {Object} header - { part_size, unknown_1, part_x, part_y, part_rotation, visibility,
+ *   unknown_2, part_group_name_size, part_group_name }
+ * @property {Object[]} sub_blocks - tagged by `type`:
+ *   'sub_type_01' outline arc:     { layer, x1, y1, radius, angle_start, angle_end, scale, unknown_arc }
+ *   'sub_type_05' outline segment: { layer, x1, y1, x2, y2, scale, unknown_segment }
+ *   'sub_type_06' label:           { layer, x, y, font_size, font_scale, font_rotation, visibility, unknown_1,
+ *                                    label_size, label }
+ *   'sub_type_09' pin:             { pins: Pin[] }
+ *
+ * @typedef {Object} Pin
+ * @property {number} x
+ * @property {number} y
+ * @property {number} inner_diameter - drill size, 0 for SMD pads
+ * @property {number} rotation
+ * @property {string} name
+ * @property {number} width - first outline, kept for simple renderers
+ * @property {number} height
+ * @property {number} shape - 1 round, 2 rectangular
+ * @property {{width: number, height: number, shape: number}[]} outlines
+ * @property {number} un1 - 1 for SMD pads, 34 for through-hole in every sample
+ * @property {number} outline_end - u32 after the outlines, 0 in every sample
+ * @property {number} net_index
+ * @property {string} diode_reading - pin-level reading string, '' when absent
+ * @property {{sub_type: number, int1: number, int2?: number}[]} sub_records - pin sub-types 0x01..0x03
+ * @property {number[]} unknown_ints - trailing u32s not yet understood
+ * @property {boolean} isThruHole_pin
+ *
+ * @typedef {Object} DiodeReading
+ * @property {number} value - rawValue / 1000
+ * @property {string} rawValue - as stored in the file
+ * @property {string} displayValue - e.g. '0.512V'
+ * @property {string} type - reading_type of the file
+ *
+ * As JSON (pcb_to_json.js, pcbJsonReplacer) the Maps are written as plain
+ * objects; normalizePcbData() turns them back into Maps.
+ */
+
+// --- Constants ---
+const XY_SCALE = 1;
+const MASTER_KEY = "DCFC12AC00000000";
+
+// The u32 offsets at 0x20-0x28 are stored HEADER_ADJUST bytes short
+const FILE_HEADER = {
+  EXPECTED: "XZZPCB V1.0",
+  XOR_KEY_OFFSET: 0x10,
+  MAIN_DATA_OFFSET: 0x20,
+  IMAGE_BLOCK_OFFSET: 0x24,
+  NET_BLOCK_OFFSET: 0x28,
+  MAIN_DATA_SIZE_OFFSET: 0x40,
+  DATA_START_OFFSET: 0x44,
+  HEADER_ADJUST: 32
+};
+
+const BLOCK_TYPES = {
+  ARC: 0x01,
+  VIA: 0x02,
+  UNKNOWN_03: 0x03,
+  PADDING_04: 0x04,
+  SEGMENT: 0x05,
+  TEXT: 0x06,
+  DATA: 0x07,
+  PADDING_08: 0x08,
+  TEST_PAD: 0x09
+};
+
+const SUB_BLOCK_TYPES = {
+  ARC: 0x01,
+  SEGMENT: 0x05,
+  LABEL: 0x06,
+  PINS: 0x09
+};
+
+// Tagged records at the end of a pad record, after the outlines
+const PIN_SUB_TYPES = {
+  NET: 0x00,
+  UNKNOWN_01: 0x01,
+  UNKNOWN_02: 0x02,
+  UNKNOWN_03: 0x03
+};
+
+const DIODE_BYTES = {
+  HEADER: [0x76, 0x36, 0x76, 0x36, 0x35, 0x35, 0x35, 0x76, 0x36, 0x76, 0x36],
+  SEPARATOR: [0x3D, 0x3D, 0x3D],
+  EQUALS: 0x3D,
+  OPEN_PAREN: 0x28,
+  CLOSE_PAREN: 0x29,
+  PADDING: 0x0A,
+  // Encoded header strings that identify the reading type
+  READING_TYPES: { ///GB2312 encoding
+    '\xD7\xE8\xD6\xB5':         'Resistance',//电阻
+    '\xD7\xE8\xD6\xB5\xCD\xBC': 'Resistance Diagram',//阻值图
+    '\xB5\xE7\xD1\xB9':         'Voltage',//电压
+    '\xD0\xC5\xBA\xC5':         'Signal',//信号
+    '\xB2\xCB\xB5\xA5':         'Menu',//菜单
+  }
+};
+
+
+// --- Binary helpers ---
+function hexToBytes(hexString) {
+  const len = hexString.length;
+  const bytes = new Uint8Array(len / 2);
+  for (let i = 0; i < len; i += 2) {
+    bytes[i / 2] = parseInt(hexString.substr(i, 2), 16);
+  }
+  return bytes;
+}
+
+function findSequence(dataView, sequence) {
+  const seqLen = sequence.length;
+  const arrayLen = dataView.byteLength;
+
+  outer: for (let i = 0; i <= arrayLen - seqLen; i++) {
+    for (let j = 0; j < seqLen; j++) {
+      if (dataView.getUint8(i + j) !== sequence[j]) {
+        continue outer;
+      }
+    }
+    return i;
+  }
+  return -1;
+}
+
+// Upper bounds for length fields, far above anything in real boards
+const READ_LIMITS = {
+  STRING: 0x10000,
+  DATA_BLOCK: 16 * 1024 * 1024
+};
+
+/**
+ * Little-endian reader over a DataView. Every read is checked against
+ * `limit`: the buffer end, or the end of the enclosing block while one is
+ * open (beginBlock/endBlock), so a bad length field throws a RangeError
+ * instead of reading into the next block or past the file.
+ */
+class BinaryReader {
+  constructor(arrayBuffer) {
+    this.dataView = new DataView(arrayBuffer);
+    this.offset = 0;
+    this.limit = this.dataView.byteLength;
+    this.outerLimits = [];
+    this.textDecoder = new TextDecoder('utf-8');
+  }
+
+  ensureAvailable(length) {
+    if (this.offset < 0 || length < 0 || this.offset + length > this.limit) {
+      const where = this.outerLimits.length > 0 ? 'the enclosing block' : 'the buffer';
+      throw new RangeError(
+        `Read of ${length} bytes at offset 0x${this.offset.toString(16)} runs past the end of ${where} (0x${this.limit.toString(16)})`
+      );
+    }
+  }
+
+  // Confine reads to the next `size` bytes; returns the block end for endBlock()
+  beginBlock(size) {
+    this.ensureAvailable(size);
+    this.outerLimits.push(this.limit);
+    this.limit = this.offset + size;
+    return this.limit;
+  }
+
+  endBlock(endOffset) {
+    this.limit = this.outerLimits.length > 0 ? this.outerLimits.pop() : this.dataView.byteLength;
+    this.offset = endOffset;
+  }
+
+  // Drop any blocks left open by a parser that threw
+  resetLimit() {
+    this.outerLimits = [];
+    this.limit = this.dataView.byteLength;
+  }
+
+  readUint8() {
+    this.ensureAvailable(1);
+    const value = this.dataView.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  readUint16(littleEndian = true) {
+    this.ensureAvailable(2);
+    const value = this.dataView.getUint16(this.offset, littleEndian);
+    this.offset += 2;
+    return value;
+  }
+
+  readUint32(littleEndian = true) {
+    this.ensureAvailable(4);
+    const value = this.dataView.getUint32(this.offset, littleEndian);
+    this.offset += 4;
+    return value;
+  }
+
+  readInt32(littleEndian = true) {
+    this.ensureAvailable(4);
+    const value = this.dataView.getInt32(this.offset, littleEndian);
+    this.offset += 4;
+    return value;
+  }
+
+  readString(length) {
+    if (length === 0) return '';
+    if (length > READ_LIMITS.STRING) {
+      throw new RangeError(`String length ${length} at offset 0x${this.offset.toString(16)} exceeds ${READ_LIMITS.STRING}`);
+    }
+    this.ensureAvailable(length);
+
+    const stringBytes = new Uint8Array(
+      this.dataView.buffer,
+      this.dataView.byteOffset + this.offset,
+      length
+    );
+    this.offset += length;
+    return this.textDecoder.decode(stringBytes);
+  }
+
+  readStringUntil(terminatorByte) {
+    const stringBytes = [];
+    
+    while (this.offset < this.limit && stringBytes.length < READ_LIMITS.STRING) {
+      const byte = this.dataView.getUint8(this.offset);
+      
+      if (byte === terminatorByte) {
+        break;
+      }
+      
+      stringBytes.push(byte);
+      this.offset += 1;
+    }
+    
+    if (stringBytes.length === 0) return '';
+    
+    const stringArray = new Uint8Array(stringBytes);
+    return this.textDecoder.decode(stringArray);
+  }
+
+  skip(bytes) {
+    this.ensureAvailable(bytes);
+    this.offset += bytes;
+  }
+
+  getOffset() {
+    return this.offset;
+  }
+
+  setOffset(offset) {
+    this.offset = offset;
+  }
+
+  hasMore() {
+    return this.offset < this.limit;
+  }
+
+  remaining() {
+    return this.limit - this.offset;
+  }
+}
+
+/**
+ * Little-endian writer into a growing buffer; the mirror of BinaryReader.
+ * beginBlock() reserves a u32 size field that endBlock() fills in with the
+ * number of bytes written since.
+ */
+class BinaryWriter {
+  constructor(initialSize = 0x10000) {
+    this.bytes = new Uint8Array(initialSize);
+    this.dataView = new DataView(this.bytes.buffer);
+    this.offset = 0;
+    this.textEncoder = new TextEncoder();
+  }
+
+  reserve(length) {
+    if (this.offset + length <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.offset + length) size *= 2;
+    const bytes = new Uint8Array(size);
+    bytes.set(this.bytes.subarray(0, this.offset));
+    this.bytes = bytes;
+    this.dataView = new DataView(bytes.buffer);
+  }
+
+  writeUint8(value) {
+    this.reserve(1);
+    this.dataView.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  writeUint16(value, littleEndian = true) {
+    this.reserve(2);
+    this.dataView.setUint16(this.offset, value, littleEndian);
+    this.offset += 2;
+  }
+
+  writeUint32(value, littleEndian = true) {
+    this.reserve(4);
+    this.dataView.setUint32(this.offset, value, littleEndian);
+    this.offset += 4;
+  }
+
+  writeInt32(value, littleEndian = true) {
+    this.reserve(4);
+    this.dataView.setInt32(this.offset, value, littleEndian);
+    this.offset += 4;
+  }
+
+  writeBytes(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.offset);
+    this.offset += bytes.length;
+  }
+
+  encodeString(text) {
+    return this.textEncoder.encode(text || '');
+  }
+
+  // u32 byte length followed by the UTF-8 bytes, as readString expects
+  writeSizedString(text) {
+    const bytes = this.encodeString(text);
+    this.writeUint32(bytes.length);
+    this.writeBytes(bytes);
+  }
+
+  beginBlock() {
+    const sizeOffset = this.offset;
+    this.writeUint32(0);
+    return sizeOffset;
+  }
+
+  endBlock(sizeOffset) {
+    this.writeUint32At(sizeOffset, this.offset - sizeOffset - 4);
+  }
+
+  writeUint32At(offset, value) {
+    this.dataView.setUint32(offset, value, true);
+  }
+
+  getOffset() {
+    return this.offset;
+  }
+
+  toUint8Array() {
+    return this.bytes.slice(0, this.offset);
+  }
+}
+
+
+// --- DES (ECB, PKCS7) ---
+// Small self-contained DES so the parser has no CryptoJS/CDN dependency and
+// runs unchanged under Node. Bit numbering follows FIPS 46 (bit 1 = MSB).
+
+const DES_TABLES = {
+  IP: [
+    58, 50, 42, 34, 26, 18, 10, 2, 60, 52, 44, 36, 28, 20, 12, 4,
+    62, 54, 46, 38, 30, 22, 14, 6, 64, 56, 48, 40, 32, 24, 16, 8,
+    57, 49, 41, 33, 25, 17, 9, 1, 59, 51, 43, 35, 27, 19, 11, 3,
+    61, 53, 45, 37, 29, 21, 13, 5, 63, 55, 47, 39, 31, 23, 15, 7
+  ],
+  FP: [
+    40, 8, 48, 16, 56, 24, 64, 32, 39, 7, 47, 15, 55, 23, 63, 31,
+    38, 6, 46, 14, 54, 22, 62, 30, 37, 5, 45, 13, 53, 21, 61, 29,
+    36, 4, 44, 12, 52, 20, 60, 28, 35, 3, 43, 11, 51, 19, 59, 27,
+    34, 2, 42, 10, 50, 18, 58, 26, 33, 1, 41, 9, 49, 17, 57, 25
+  ],
+  PC1: [
+    57, 49, 41, 33, 25, 17, 9, 1, 58, 50, 42, 34, 26, 18,
+    10, 2, 59, 51, 43, 35, 27, 19, 11, 3, 60, 52, 44, 36,
+    63, 55, 47, 39, 31, 23, 15, 7, 62, 54, 46, 38, 30, 22,
+    14, 6, 61, 53, 45, 37, 29, 21, 13, 5, 28, 20, 12, 4
+  ],
+  PC2: [
+    14, 17, 11, 24, 1, 5, 3, 28, 15, 6, 21, 10,
+    23, 19, 12, 4, 26, 8, 16, 7, 27, 20, 13, 2,
+    41, 52, 31, 37, 47, 55, 30, 40, 51, 45, 33, 48,
+    44, 49, 39, 56, 34, 53, 46, 42, 50, 36, 29, 32
+  ],
+  SHIFTS: [1, 1, 2, 2, 2, 2, 2, 2, 1, 2, 2, 2, 2, 2, 2, 1],
+  P: [
+    16, 7, 20, 21, 29, 12, 28, 17, 1, 15, 23, 26, 5, 18, 31, 10,
+    2, 8, 24, 14, 32, 27, 3, 9, 19, 13, 30, 6, 22, 11, 4, 25
+  ],
+  S: [
+    [14, 4, 13, 1, 2, 15, 11, 8, 3, 10, 6, 12, 5, 9, 0, 7,
+      0, 15, 7, 4, 14, 2, 13, 1, 10, 6, 12, 11, 9, 5, 3, 8,
+      4, 1, 14, 8, 13, 6, 2, 11, 15, 12, 9, 7, 3, 10, 5, 0,
+      15, 12, 8, 2, 4, 9, 1, 7, 5, 11, 3, 14, 10, 0, 6, 13],
+    [15, 1, 8, 14, 6, 11, 3, 4, 9, 7, 2, 13, 12, 0, 5, 10,
+      3, 13, 4, 7, 15, 2, 8, 14, 12, 0, 1, 10, 6, 9, 11, 5,
+      0, 14, 7, 11, 10, 4, 13, 1, 5, 8, 12, 6, 9, 3, 2, 15,
+      13, 8, 10, 1, 3, 15, 4, 2, 11, 6, 7, 12, 0, 5, 14, 9],
+    [10, 0, 9, 14, 6, 3, 15, 5, 1, 13, 12, 7, 11, 4, 2, 8,
+      13, 7, 0, 9, 3, 4, 6, 10, 2, 8, 5, 14, 12, 11, 15, 1,
+      13, 6, 4, 9, 8, 15, 3, 0, 11, 1, 2, 12, 5, 10, 14, 7,
+      1, 10, 13, 0, 6, 9, 8, 7, 4, 15, 14, 3, 11, 5, 2, 12],
+    [7, 13, 14, 3, 0, 6, 9, 10, 1, 2, 8, 5, 11, 12, 4, 15,
+      13, 8, 11, 5, 6, 15, 0, 3, 4, 7, 2, 12, 1, 10, 14, 9,
+      10, 6, 9, 0, 12, 11, 7, 13, 15, 1, 3, 14, 5, 2, 8, 4,
+      3, 15, 0, 6, 10, 1, 13, 8, 9, 4, 5, 11, 12, 7, 2, 14],
+    [2, 12, 4, 1, 7, 10, 11, 6, 8, 5, 3, 15, 13, 0, 14, 9,
+      14, 11, 2, 12, 4, 7, 13, 1, 5, 0, 15, 10, 3, 9, 8, 6,
+      4, 2, 1, 11, 10, 13, 7, 8, 15, 9, 12, 5, 6, 3, 0, 14,
+      11, 8, 12, 7, 1, 14, 2, 13, 6, 15, 0, 9, 10, 4, 5, 3],
+    [12, 1, 10, 15, 9, 2, 6, 8, 0, 13, 3, 4, 14, 7, 5, 11,
+      10, 15, 4, 2, 7, 12, 9, 5, 6, 1, 13, 14, 0, 11, 3, 8,
+      9, 14, 15, 5, 2, 8, 12, 3, 7, 0, 4, 10, 1, 13, 11, 6,
+      4, 3, 2, 12, 9, 5, 15, 10, 11, 14, 1, 7, 6, 0, 8, 13],
+    [4, 11, 2, 14, 15, 0, 8, 13, 3, 12, 9, 7, 5, 10, 6, 1,
+      13, 0, 11, 7, 4, 9, 1, 10, 14, 3, 5, 12, 2, 15, 8, 6,
+      1, 4, 11, 13, 12, 3, 7, 14, 10, 15, 6, 8, 0, 5, 9, 2,
+      6, 11, 13, 8, 1, 4, 10, 7, 9, 5, 0, 15, 14, 2, 3, 12],
+    [13, 2, 8, 4, 6, 15, 11, 1, 10, 9, 3, 14, 5, 0, 12, 7,
+      1, 15, 13, 8, 10, 3, 7, 4, 12, 5, 6, 11, 0, 14, 9, 2,
+      7, 11, 4, 1, 9, 12, 14, 2, 0, 6, 10, 13, 15, 3, 5, 8,
+      2, 1, 14, 7, 4, 10, 8, 13, 15, 12, 9, 0, 3, 5, 6, 11]
+  ]
+};
+
+// Permute the 1-based bit positions of `table` out of a big-endian bit source
+function desPermute(getBit, table) {
+  const out = new Uint8Array(table.length);
+  for (let i = 0; i < table.length; i++) out[i] = getBit(table[i] - 1);
+  return out;
+}
+
+function desBitsToWord(bits, start, count) {
+  let word = 0;
+  for (let i = 0; i < count; i++) word = (word << 1) | bits[start + i];
+  return word >>> 0;
+}
+
+// SP[j][x]: S-box j applied to the 6-bit input x, followed by the P permutation
+const DES_SP = DES_TABLES.S.map((box, j) => {
+  const table = new Uint32Array(64);
+  for (let x = 0; x < 64; x++) {
+    const row = ((x >> 4) & 2) | (x & 1);
+    const col = (x >> 1) & 0xf;
+    const sOut = (box[row * 16 + col] << (28 - 4 * j)) >>> 0;
+    const bits = desPermute(i => (sOut >>> (31 - i)) & 1, DES_TABLES.P);
+    table[x] = desBitsToWord(bits, 0, 32);
+  }
+  return table;
+});
+
+function desKeySchedule(keyBytes) {
+  const cd = desPermute(i => (keyBytes[i >> 3] >> (7 - (i & 7))) & 1, DES_TABLES.PC1);
+  let c = Array.from(cd.subarray(0, 28));
+  let d = Array.from(cd.subarray(28, 56));
+  const subkeys = [];
+
+  for (const shift of DES_TABLES.SHIFTS) {
+    c = c.slice(shift).concat(c.slice(0, shift));
+    d = d.slice(shift).concat(d.slice(0, shift));
+    const cdRound = c.concat(d);
+    const k = desPermute(i => cdRound[i], DES_TABLES.PC2);
+    const chunks = new Uint8Array(8);
+    for (let j = 0; j < 8; j++) chunks[j] = desBitsToWord(k, j * 6, 6);
+    subkeys.push(chunks);
+  }
+  return subkeys;
+}
+
+// Run one 8-byte block through the 16 rounds in place
+function desCryptBlock(bytes, offset, subkeys) {
+  const inBits = desPermute(i => (bytes[offset + (i >> 3)] >> (7 - (i & 7))) & 1, DES_TABLES.IP);
+  let l = desBitsToWord(inBits, 0, 32);
+  let r = desBitsToWord(inBits, 32, 32);
+
+  for (let round = 0; round < 16; round++) {
+    const k = subkeys[round];
+    let f = 0;
+    for (let j = 0; j < 8; j++) {
+      // E expansion: chunk j is bits 4j..4j+5 of R (1-based, wrapping)
+      const s = (27 - 4 * j) & 31;
+      const chunk = ((r >>> s) | (r << (32 - s))) & 0x3f;
+      f |= DES_SP[j][chunk ^ k[j]];
+    }
+    const next = (l ^ f) >>> 0;
+    l = r;
+    r = next;
+  }
+
+  // Undo the final swap, then apply the inverse initial permutation
+  const preOut = [r, l];
+  const outBits = desPermute(i => (preOut[i >> 5] >>> (31 - (i & 31))) & 1, DES_TABLES.FP);
+  for (let i = 0; i < 8; i++) bytes[offset + i] = desBitsToWord(outBits, i * 8, 8);
+}
+
+class DESDecryptor {
+  constructor() {
+    this.keyBytes = hexToBytes(MASTER_KEY);
+    this.subkeys = desKeySchedule(this.keyBytes).reverse();
+  }
+
+  decrypt(encryptedData) {
+    const out = new Uint8Array(Math.floor(encryptedData.length / 8) * 8);
+    out.set(encryptedData.subarray(0, out.length));
+    for (let i = 0; i < out.length; i += 8) {
+      desCryptBlock(out, i, this.subkeys);
+    }
+
+    // PKCS7: drop as many bytes as the last byte says (same leniency as CryptoJS)
+    const padding = out.length > 0 ? out[out.length - 1] : 0;
+    return out.slice(0, Math.max(0, out.length - padding));
+  }
+}
+
+// Part payloads in real files are zero-padded to the DES block size rather than
+// PKCS7-padded (their last byte is 0, so the decryptor above strips nothing);
+// encrypt pads the same way so decrypt(encrypt(x)) keeps the zeros.
+class DESEncryptor {
+  constructor() {
+    this.keyBytes = hexToBytes(MASTER_KEY);
+    this.subkeys = desKeySchedule(this.keyBytes);
+  }
+
+  encrypt(plainData) {
+    const out = new Uint8Array(Math.ceil(plainData.length / 8) * 8);
+    out.set(plainData);
+    for (let i = 0; i < out.length; i += 8) {
+      desCryptBlock(out, i, this.subkeys);
+    }
+    return out;
+  }
+}
+
+
+// --- Progress ---
+class ProgressReporter {
+  constructor(callback) {
+    this.callback = callback;
+  }
+
+  report(current, total, stage = '') {
+    if (this.callback) {
+      const percent = Math.round((current / total) * 100);
+      this.callback({ percent, current, total, stage });
+    }
+  }
+}
+
+
+// --- Diagnostics ---
+function blockTypeName(blockType) {
+  const name = Object.keys(BLOCK_TYPES).find(key => BLOCK_TYPES[key] === blockType);
+  return name || `0x${blockType.toString(16).padStart(2, '0')}`;
+}
+
+class PCBParseError extends Error {
+  constructor(diagnostic) {
+    const where = diagnostic.offset !== null ? ` at offset 0x${diagnostic.offset.toString(16)}` : '';
+    super(`${diagnostic.message}${where}`);
+    this.name = 'PCBParseError';
+    this.diagnostic = diagnostic;
+  }
+}
+
+/**
+ * Collects what the parser could not decode. Each entry is
+ * { level: 'warning'|'error', message, offset, block_type, size[, sub_offset] }:
+ * offset is the file offset of the enclosing block, sub_offset the position
+ * inside a decrypted DATA payload. Warnings mean bytes were left undecoded but
+ * block framing held; errors mean framing was lost. In strict mode the first
+ * error throws a PCBParseError.
+ */
+class ParseDiagnostics {
+  constructor(strict = false) {
+    this.strict = strict;
+    this.entries = [];
+  }
+
+  warn(message, details = {}) {
+    return this.add('warning', message, details);
+  }
+
+  error(message, details = {}) {
+    const entry = this.add('error', message, details);
+    if (this.strict) throw new PCBParseError(entry);
+    return entry;
+  }
+
+  add(level, message, { offset = null, blockType = null, size = null, ...extra } = {}) {
+    const entry = { level, message, offset, block_type: blockType, size, ...extra };
+    this.entries.push(entry);
+    return entry;
+  }
+}
+
+
+// --- Part (DATA block) parser ---
+let isThruHole_part = false;
+
+class PartDataParser {
+  /**
+   * @param {ParseDiagnostics|null} diagnostics
+   * @param {number|null} blockOffset - file offset of the DATA block, for diagnostics
+   */
+  constructor(diagnostics = null, blockOffset = null) {
+    this.reader = null;
+    this.curBlockSize = 0;
+    this.pinBlockSize = 0;
+    this.diagnostics = diagnostics;
+    this.blockOffset = blockOffset;
+  }
+
+  report(level, message, subOffset = this.reader.getOffset()) {
+    if (!this.diagnostics) return;
+    const details = { offset: this.blockOffset, blockType: BLOCK_TYPES.DATA, size: this.curBlockSize, sub_offset: subOffset };
+    if (level === 'error') this.diagnostics.error(message, details);
+    else this.diagnostics.warn(message, details);
+  }
+
+  parse(arrayBuffer, t07blockSize) {
+    this.reader = new BinaryReader(arrayBuffer);
+    this.curBlockSize = t07blockSize;
+    // the next t07 block is curBlockSize away from the t07blockSize
+    // If we are creating new ArrayBuffer from slice, we need to ensure we keep track of our position/offset
+    this.Offset = 0; // Initialize Offset
+    const result = {
+      header: this.parseHeader(),
+      sub_blocks: []
+    };
+    
+    // We do not slice the buffer using partSize anymore. 
+    // The t07blockSize holds the perfect bounds.
+    
+    // parts can have four types of sub-blocks: arcs, segments, labels and pins
+    const subBlockHandlers = {
+      [SUB_BLOCK_TYPES.ARC]: () => this.parseArcSubBlock(),
+      [SUB_BLOCK_TYPES.SEGMENT]: () => this.parseSegmentSubBlock(),
+      [SUB_BLOCK_TYPES.LABEL]: () => this.parseLabelSubBlock(),
+      [SUB_BLOCK_TYPES.PINS]: () => this.parsePinsSubBlock()
+    };
+
+    while (this.reader.getOffset() < this.reader.dataView.byteLength) {
+      if (!this.reader.hasMore()) break;
+
+      // Peak the sub_type_identifier safely without advancing
+      const nextByte = this.reader.dataView.getUint8(this.reader.getOffset());
+      
+      // Strict exit condition on padding or invalid identifier
+      if (!subBlockHandlers[nextByte]) {
+          // DES padding leaves up to 7 zero bytes; anything else went undecoded
+          const rest = new Uint8Array(this.reader.dataView.buffer, this.reader.dataView.byteOffset + this.reader.getOffset(), this.reader.remaining());
+          if (rest.some(byte => byte !== 0)) {
+            this.report('warning', `Unknown sub-type identifier 0x${nextByte.toString(16).padStart(2, '0')}, ${rest.length} bytes left undecoded`);
+          }
+          break;
+      }
+
+      const subTypeIdentifier = this.reader.readUint8();
+      const handler = subBlockHandlers[subTypeIdentifier];
+      if (handler) {
+        try {
+          const subBlock = handler.call(this);
+          if (subBlock) {
+            result.sub_blocks.push(subBlock);
+          }
+        } catch (err) {
+          this.report('error', `Sub-block 0x${subTypeIdentifier.toString(16).padStart(2, '0')} parsing failed: ${err.message}`);
+          break; // Avoid cascading desync
+        }
+      } else {
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  parseHeader() {
+    const header = {
+      part_size: this.reader.readUint32(),
+      unknown_1: this.reader.readUint32()
+    };
+
+    header.part_x = this.reader.readUint32();
+    header.part_y = this.reader.readUint32();
+    header.part_rotation = this.reader.readUint32();
+    header.visibility = this.reader.readUint8();
+    header.unknown_2 = this.reader.readUint8();
+    header.part_group_name_size = this.reader.readUint32();
+
+    header.part_group_name = header.part_group_name_size > 0
+      ? this.reader.readString(header.part_group_name_size)
+      : '';
+
+    return header;
+  }
+
+  parseArcSubBlock() {
+    const blockSize = this.reader.readUint32();
+    const endOffset = this.reader.beginBlock(blockSize);
+    const layer = this.reader.readUint32();
+    const x1 = this.reader.readUint32() / XY_SCALE;
+    const y1 = this.reader.readUint32() / XY_SCALE;
+    const radius = this.reader.readUint32() / XY_SCALE;
+    const angle_start = this.reader.readUint32() / XY_SCALE;
+    const angle_end = this.reader.readUint32() / XY_SCALE;
+    const scale = this.reader.readUint32() / XY_SCALE;
+    const unknown_arc = this.reader.readUint32() / XY_SCALE;
+
+    this.reader.endBlock(endOffset);
+
+    return {
+      type: 'sub_type_01',
+      sub_type_identifier_01: SUB_BLOCK_TYPES.ARC,
+      block_size: blockSize,
+      layer,
+      x1,
+      y1,
+      radius,
+      angle_start,
+      angle_end,
+      scale,
+      unknown_arc
+    };
+  }
+
+  parseSegmentSubBlock() {
+    const blockSize = this.reader.readUint32();
+    const endOffset = this.reader.beginBlock(blockSize);
+    const layer = this.reader.readUint32();
+    const x1 = this.reader.readUint32() / XY_SCALE;
+    const y1 = this.reader.readUint32() / XY_SCALE;
+    const x2 = this.reader.readUint32() / XY_SCALE;
+    const y2 = this.reader.readUint32() / XY_SCALE;
+    const scale = this.reader.readUint32() / XY_SCALE;
+    // Board SEGMENTs keep the net index here; 0 in every sample part
+    const unknown_segment = this.reader.readUint32();
+    
+    this.reader.endBlock(endOffset);
+
+    return {
+      type: 'sub_type_05',
+      sub_type_identifier_05: SUB_BLOCK_TYPES.SEGMENT,
+      block_size: blockSize,
+      layer,
+      x1,
+      y1,
+      x2,
+      y2,
+      scale,
+      unknown_segment
+    };
+  }
+
+  parseLabelSubBlock() {
+    const blockSize = this.reader.readUint32();
+    const endOffset = this.reader.beginBlock(blockSize);
+    const layer = this.reader.readUint32();
+    const x = this.reader.readUint32() / XY_SCALE;
+    const y = this.reader.readUint32() / XY_SCALE;
+    const fontSize = this.reader.readUint32() / XY_SCALE;
+    const fontScale = this.reader.readUint32() / XY_SCALE;
+    const fontRotation = this.reader.readUint32() / XY_SCALE;
+    const visibility = this.reader.readUint8();
+    const unknown1 = this.reader.readUint8();
+    const labelSize = this.reader.readUint32();
+    const label = labelSize > 0 ? this.reader.readString(labelSize) : '';
+
+    this.reader.endBlock(endOffset);
+
+    return {
+      type: 'sub_type_06',
+      sub_type_identifier_06: SUB_BLOCK_TYPES.LABEL,
+      block_size: blockSize,
+      layer,
+      x,
+      y,
+      font_size: fontSize,
+      font_scale: fontScale,
+      font_rotation: fontRotation,
+      visibility,
+      unknown_1: unknown1,
+      label_size: labelSize,
+      label
+    };
+  }
+
+  parsePinsSubBlock() {
+    const blockSize = this.reader.readUint32();
+    const endOffset = this.reader.beginBlock(blockSize);
+    const pins = [];
+
+    if (this.reader.getOffset() < endOffset) {
+      const pin = parsePadRecord(this.reader, blockSize, endOffset,
+        (message, subOffset) => this.report('warning', message, subOffset));
+      isThruHole_part = pin.isThruHole_pin;
+      pins.push(pin);
+    }
+
+    this.reader.endBlock(endOffset);
+
+    return {
+      type: 'sub_type_09',
+      sub_type_identifier_09: SUB_BLOCK_TYPES.PINS,
+      block_size: blockSize,
+      pins
+    };
+  }
+}
+
+// Pad record shared by part pins (DATA sub-type 0x09) and board-level test pads
+// (block type 0x09). Reads up to endOffset; the caller re-seeks afterwards.
+// onWarning(message, offset), if given, receives footer bytes that don't decode.
+function parsePadRecord(reader, blockSize, endOffset, onWarning = null) {
+  const un1 = reader.readUint32();
+  const x = reader.readUint32() / XY_SCALE;
+  const y = reader.readUint32() / XY_SCALE;
+  const inner_diameter = reader.readUint32() / XY_SCALE;
+  const isThruHole_pin = (inner_diameter !== 0);
+
+  const pinRotation = reader.readUint32() / XY_SCALE;
+  const pinNameSize = reader.readUint32();
+  const pinName = pinNameSize > 0 ? reader.readString(pinNameSize) : '';
+
+  // Replicate hexpat outline count calculation exactly:
+  // hexpat: _header_bytes = 29 + pin_name_size (counts from block_start including 5-byte id+size prefix)
+  // hexpat: _footer_minimum = 4
+  // hexpat: _outline_bytes_available = block_size - _header_bytes - _footer_minimum
+  // Since blockSize in JS = block_size in hexpat (payload after id+size),
+  // and the hexpat's _header_bytes includes the 5-byte prefix but blockSize doesn't,
+  // the formula effectively reserves 5 extra bytes from the outline budget.
+  const headerBytes = 29 + pinNameSize;  // Match hexpat exactly
+  const footerMinimum = 4;
+  const outlineBytesAvailable = blockSize - headerBytes - footerMinimum;
+  const maxOutlines = outlineBytesAvailable > 0 ? Math.floor(outlineBytesAvailable / 9) : 0;
+  const outlineCount = Math.min(Math.max(0, maxOutlines), 8);
+
+  const outlines = [];
+  for (let i = 0; i < outlineCount; i++) {
+    if (reader.getOffset() + 9 > endOffset) break;
+    const outlineWidth = reader.readUint32() / XY_SCALE;
+    const outlineHeight = reader.readUint32() / XY_SCALE;
+    const outlineShape = reader.readUint8();
+    outlines.push({ width: outlineWidth, height: outlineHeight, shape: outlineShape });
+  }
+
+  const footer = parsePadFooter(reader, endOffset, onWarning);
+
+  // For backward compatibility for rendering code expecting a single width/height
+  const primaryWidth = outlines.length > 0 ? outlines[0].width : 0;
+  const primaryHeight = outlines.length > 0 ? outlines[0].height : 0;
+  const primaryShape = outlines.length > 0 ? outlines[0].shape : 0;
+
+  return {
+    un1,
+    x,
+    y,
+    inner_diameter,
+    rotation: pinRotation,
+    name_size: pinNameSize,
+    name: pinName,
+    height: primaryHeight,
+    width: primaryWidth,
+    shape: primaryShape,
+    outlines,
+    outline_end: footer.outline_end,
+    net_index: footer.net_index,
+    diode_reading: footer.diode_reading,
+    sub_records: footer.sub_records,
+    unknown_ints: footer.unknown_ints,
+    isThruHole_pin
+  };
+}
+
+// Pad footer: u32 outline end marker, then pin sub-records tagged by a
+// PIN_SUB_TYPES byte. 0x00 carries the net index and, when there is room,
+// a length-prefixed reading string; 0x01..0x03 carry int1 (+ int2 when
+// int1 > 0). Whole u32s left over are kept in unknown_ints.
+function parsePadFooter(reader, endOffset, onWarning = null) {
+  const footer = {
+    outline_end: 0,
+    net_index: 0,
+    diode_reading: '',
+    sub_records: [],
+    unknown_ints: []
+  };
+  const remaining = () => endOffset - reader.getOffset();
+
+  // Older files end with a bare u32 net_index
+  if (remaining() >= 4 && remaining() < 9) {
+    footer.net_index = reader.readUint32();
+    return footer;
+  }
+
+  if (remaining() >= 4) footer.outline_end = reader.readUint32();
+
+  while (remaining() >= 5) {
+    const subType = reader.dataView.getUint8(reader.getOffset());
+
+    if (subType === PIN_SUB_TYPES.NET) {
+      reader.skip(1);
+      footer.net_index = reader.readUint32();
+      if (remaining() >= 4) {
+        const readingSize = reader.readUint32();
+        if (readingSize > remaining()) {
+          if (onWarning) onWarning(`Pin reading size ${readingSize} overruns the pad record`, reader.getOffset() - 4);
+          break;
+        }
+        if (readingSize > 0) footer.diode_reading = reader.readString(readingSize);
+      }
+    } else if (subType >= PIN_SUB_TYPES.UNKNOWN_01 && subType <= PIN_SUB_TYPES.UNKNOWN_03) {
+      reader.skip(1);
+      const record = { sub_type: subType, int1: reader.readUint32() };
+      if (record.int1 > 0 && remaining() >= 4) record.int2 = reader.readUint32();
+      footer.sub_records.push(record);
+    } else {
+      break;
+    }
+  }
+
+  while (remaining() >= 4) footer.unknown_ints.push(reader.readUint32());
+
+  return footer;
+}
+
+
+// --- Block parsers ---
+const decryptor = new DESDecryptor();
+
+function parseArcBlock(reader) {
+  const blockSize = reader.readUint32();
+  const endOffset = reader.beginBlock(blockSize);
+  const layer = reader.readUint32();
+  const x1 = reader.readUint32() / XY_SCALE;
+  const y1 = reader.readUint32() / XY_SCALE;
+  const r = reader.readInt32() / XY_SCALE;
+  const angleStart = reader.readInt32() / XY_SCALE;
+  const angleEnd = reader.readInt32() / XY_SCALE;
+  const scale = reader.readInt32() / XY_SCALE;
+  const netIndex = reader.readInt32();
+
+  reader.endBlock(endOffset);
+
+  return {
+    ARC: {
+      layer,
+      x1,
+      y1,
+      r,
+      angle_start: angleStart,
+      angle_end: angleEnd,
+      scale,
+      net_index: netIndex
+    }
+  };
+}
+
+function parseViaBlock(reader) {
+  const blockSize = reader.readUint32();
+  const endOffset = reader.beginBlock(blockSize);
+  const x = reader.readInt32() / XY_SCALE;
+  const y = reader.readInt32() / XY_SCALE;
+  const outerRadius = reader.readInt32() / XY_SCALE;
+  const innerRadius = reader.readInt32() / XY_SCALE;
+  const layerAIndex = reader.readUint32();
+  const layerBIndex = reader.readUint32();
+  const netIndex = reader.readUint32();
+  const viaTextLength = reader.readUint32();
+  const viaText = reader.readString(viaTextLength);
+
+  reader.endBlock(endOffset);
+
+  return {
+    VIA: {
+      x,
+      y,
+      outer_radius: outerRadius,
+      inner_radius: innerRadius,
+      layer_a_index: layerAIndex,
+      layer_b_index: layerBIndex,
+      net_index: netIndex,
+      via_text: viaText
+    }
+  };
+}
+
+function parseSegmentBlock(reader) {
+  const blockSize = reader.readUint32();
+  const endOffset = reader.beginBlock(blockSize);
+  const layer = reader.readUint32();
+  const x1 = reader.readInt32() / XY_SCALE;
+  const y1 = reader.readInt32() / XY_SCALE;
+  const x2 = reader.readInt32() / XY_SCALE;
+  const y2 = reader.readInt32() / XY_SCALE;
+  const scale = reader.readInt32() / XY_SCALE;
+  const traceNetIndex = reader.readUint32();
+
+  reader.endBlock(endOffset);
+
+  return {
+    SEGMENT: {
+      layer,
+      x1,
+      y1,
+      x2,
+      y2,
+      scale,
+      net_index: traceNetIndex
+    }
+  };
+}
+
+function parseTextBlock(reader) {
+  const blockSize = reader.readUint32();
+  const endOffset = reader.beginBlock(blockSize);
+  const unknown1 = reader.readUint32();
+  const posX = reader.readUint32() / XY_SCALE;
+  const posY = reader.readUint32() / XY_SCALE;
+  const textSize = reader.readUint32() / XY_SCALE;
+  const divider = reader.readUint32();
+  const empty = reader.readUint32();
+  const one = reader.readUint16();
+  const textLength = reader.readUint32();
+  const text = reader.readString(textLength);
+
+  reader.endBlock(endOffset);
+
+  return {
+    TEXT: {
+      unknown_1: unknown1,
+      pos_x: posX,
+      pos_y: posY,
+      text_size: textSize,
+      divider,
+      empty,
+      one,
+      text_length: textLength,
+      text
+    }
+  };
+}
+
+function parseDataBlock(reader, options = {}, diagnostics = null) {
+  const blockOffset = reader.getOffset() - 1;
+  const blockSize = reader.readUint32();
+  const startOffset = reader.getOffset();
+  if (blockSize > READ_LIMITS.DATA_BLOCK) {
+    throw new RangeError(`DATA block size ${blockSize} exceeds ${READ_LIMITS.DATA_BLOCK}`);
+  }
+  reader.ensureAvailable(blockSize);
+
+  const encryptedData = new Uint8Array(
+    reader.dataView.buffer,
+    reader.dataView.byteOffset + startOffset,
+    blockSize
+  );
+  reader.skip(blockSize);
+
+  let decryptedData;
+  try {
+    decryptedData = decryptor.decrypt(encryptedData);
+  } catch (error) {
+    if (diagnostics) {
+      diagnostics.error(`Decryption failed: ${error.message}`, { offset: blockOffset, blockType: BLOCK_TYPES.DATA, size: blockSize });
+    }
+    decryptedData = encryptedData;
+  }
+
+  let parsedData = null;
+  try {
+    const partDataParser = new PartDataParser(diagnostics, blockOffset);
+    parsedData = partDataParser.parse(decryptedData.buffer, blockSize);
+  } catch (error) {
+    if (error instanceof PCBParseError) throw error;
+    if (diagnostics) {
+      diagnostics.error(`Part data parsing failed: ${error.message}`, { offset: blockOffset, blockType: BLOCK_TYPES.DATA, size: blockSize });
+    }
+  }
+
+  const data = { block_size: blockSize };
+  if (options.includeRawData !== false) {
+    data.encrypted_data = Array.from(encryptedData);
+    data.decrypted_data = Array.from(decryptedData);
+  }
+  data.parsed_data = parsedData;
+
+  return { DATA: data };
+}
+
+// Board-level test pad / test point: same record layout as a part pin
+function parseTestPadBlock(reader, diagnostics = null) {
+  const blockOffset = reader.getOffset() - 1;
+  const blockSize = reader.readUint32();
+  const endOffset = reader.beginBlock(blockSize);
+  const pad = parsePadRecord(reader, blockSize, endOffset, diagnostics && (message =>
+    diagnostics.warn(message, { offset: blockOffset, blockType: BLOCK_TYPES.TEST_PAD, size: blockSize })));
+
+  reader.endBlock(endOffset);
+
+  return {
+    TEST_PAD: {
+      block_size: blockSize,
+      ...pad
+    }
+  };
+}
+
+// No sample board contains a 0x03 block yet, so its layout is unknown; keep the
+// body bytes in the model rather than dropping them
+function parseUnknown03Block(reader) {
+  const blockSize = reader.readUint32();
+  const startOffset = reader.getOffset();
+  reader.ensureAvailable(blockSize);
+  const data = new Uint8Array(
+    reader.dataView.buffer,
+    reader.dataView.byteOffset + startOffset,
+    blockSize
+  );
+  reader.skip(blockSize);
+
+  return {
+    UNKNOWN_03: {
+      block_size: blockSize,
+      data: Array.from(data)
+    }
+  };
+}
+
+function skipBlock(reader, size = 1) {
+  reader.skip(size);
+  return null;
+}
+
+
+// --- PCB parser ---
+class PCBParser {
+  /**
+   * @param {Function|null} progressCallback - receives { percent, current, total, stage }
+   * @param {Object} options
+   * @param {boolean} [options.includeRawData=true] - keep DATA blocks' encrypted_data/decrypted_data byte arrays
+   * @param {boolean} [options.strict=false] - throw a PCBParseError on the first error instead of
+   *   resyncing on the next plausible block
+   */
+  constructor(progressCallback = null, options = {}) {
+    this.options = { includeRawData: true, strict: false, ...options };
+    this.diagnostics = new ParseDiagnostics(this.options.strict);
+    this.reader = null;
+    this.mainDataBlocksSize = 0;
+    this.imageBlockStart = 0;
+    this.netBlockStart = 0;
+    this.xorKey = 0;
+    this.progress = new ProgressReporter(progressCallback);
+  }
+
+  parseFileHeader() {
+    if (this.reader.dataView.byteLength < FILE_HEADER.DATA_START_OFFSET) {
+      const entry = this.diagnostics.add('error',
+        `File is ${this.reader.dataView.byteLength} bytes, too short for the ${FILE_HEADER.DATA_START_OFFSET}-byte header`, { offset: 0 });
+      throw new PCBParseError(entry);
+    }
+
+    const headerStr = this.reader.readString(FILE_HEADER.EXPECTED.length);
+    
+    if (headerStr !== FILE_HEADER.EXPECTED) {
+      // Nothing after the header can be trusted, so this is fatal in either mode
+      const entry = this.diagnostics.add('error',
+        `Unexpected file header "${headerStr}", expected "${FILE_HEADER.EXPECTED}"`, { offset: 0 });
+      throw new PCBParseError(entry);
+    }
+
+    this.reader.setOffset(FILE_HEADER.IMAGE_BLOCK_OFFSET);
+    this.imageBlockStart = this.reader.readUint32() + FILE_HEADER.HEADER_ADJUST;
+
+    this.reader.setOffset(FILE_HEADER.NET_BLOCK_OFFSET);
+    const intNetBlockStart = this.reader.readUint32();
+    this.netBlockStart = intNetBlockStart + FILE_HEADER.HEADER_ADJUST;
+
+    this.reader.setOffset(FILE_HEADER.MAIN_DATA_SIZE_OFFSET);
+    this.mainDataBlocksSize = this.reader.readUint32();
+    this.reader.setOffset(FILE_HEADER.DATA_START_OFFSET);
+
+    this.progress.report(1, 10, 'Reading file header');
+  }
+
+  parseMainDataBlocks() {
+    const blocks = [];
+    const startOffset = this.reader.getOffset();
+    let endOffset = startOffset + this.mainDataBlocksSize;
+    const totalSize = this.mainDataBlocksSize;
+
+    if (endOffset > this.reader.dataView.byteLength) {
+      this.diagnostics.error(`Main data size ${this.mainDataBlocksSize} runs past the end of the file`,
+        { offset: FILE_HEADER.MAIN_DATA_SIZE_OFFSET, size: this.mainDataBlocksSize });
+      endOffset = this.reader.dataView.byteLength;
+    }
+    let processedSize = 0;
+
+    this.progress.report(2, 10, 'Parsing data blocks');
+
+    const blockHandlers = {
+      [BLOCK_TYPES.ARC]: () => parseArcBlock(this.reader),
+      [BLOCK_TYPES.VIA]: () => parseViaBlock(this.reader),
+      [BLOCK_TYPES.UNKNOWN_03]: () => parseUnknown03Block(this.reader),
+      [BLOCK_TYPES.PADDING_04]: () => skipBlock(this.reader),
+      [BLOCK_TYPES.SEGMENT]: () => parseSegmentBlock(this.reader),
+      [BLOCK_TYPES.TEXT]: () => parseTextBlock(this.reader),
+      [BLOCK_TYPES.DATA]: () => parseDataBlock(this.reader, this.options, this.diagnostics),
+      [BLOCK_TYPES.PADDING_08]: () => skipBlock(this.reader),
+      [BLOCK_TYPES.TEST_PAD]: () => parseTestPadBlock(this.reader, this.diagnostics)
+    };
+
+    let blockCount = 0;
+    while (this.reader.getOffset() < endOffset && this.reader.hasMore()) {
+      const blockStart = this.reader.getOffset();
+      if (this.reader.remaining() >= 4 && this.reader.dataView.getUint32(blockStart, true) === 0) {
+        this.reader.skip(4);
+        continue;
+      }
+
+      const blockType = this.reader.readUint8();
+      const handler = blockHandlers[blockType];
+      if (!handler) {
+        this.diagnostics.error(`Unknown block type 0x${blockType.toString(16).padStart(2, '0')}`,
+          { offset: blockStart, blockType });
+        this.resync(blockStart, blockStart + 1, endOffset, blockHandlers);
+        continue;
+      }
+
+      let block;
+      try {
+        block = handler();
+      } catch (error) {
+        if (error instanceof PCBParseError) throw error;
+        this.reader.resetLimit();
+        const size = this.peekBlockSize(blockStart, endOffset);
+        this.diagnostics.error(`Failed to parse ${blockTypeName(blockType)} block: ${error.message}`,
+          { offset: blockStart, blockType, size });
+        // Trust the size field if it lands inside the data area, otherwise scan byte by byte
+        const next = size !== null && blockStart + 5 + size <= endOffset ? blockStart + 5 + size : blockStart + 1;
+        this.resync(blockStart, next, endOffset, blockHandlers);
+        continue;
+      }
+
+      if (this.reader.getOffset() > endOffset) {
+        this.diagnostics.error(`${blockTypeName(blockType)} block overruns the main data area by ${this.reader.getOffset() - endOffset} bytes`,
+          { offset: blockStart, blockType, size: this.peekBlockSize(blockStart, Infinity) });
+        this.resync(blockStart, blockStart + 1, endOffset, blockHandlers);
+        continue;
+      }
+
+      if (block) {
+        blocks.push(block);
+      }
+
+      if (++blockCount % 100 === 0) {
+        processedSize = this.reader.getOffset() - startOffset;
+        this.progress.report(
+          2 + (processedSize / totalSize) * 6,
+          10,
+          `Parsed ${blockCount} blocks`
+        );
+      }
+    }
+
+    const imageBlock = this.parseImageBlock();
+
+    this.progress.report(6, 10, 'Parsing netlist');
+    this.reader.setOffset(this.netBlockStart);
+    
+    const netIndexToName = new Map();
+    try {
+      const netListSize = this.reader.readUint32();
+      const netListEnd = this.reader.beginBlock(netListSize);
+
+      while (this.reader.getOffset() < netListEnd) {
+        const entryOffset = this.reader.getOffset();
+        const netEntrySize = this.reader.readUint32();
+        if (netEntrySize < 8) {
+          this.diagnostics.error(`Net entry size ${netEntrySize} is smaller than its 8-byte header`,
+            { offset: entryOffset, size: netEntrySize });
+          break;
+        }
+        const netIndex = this.reader.readUint32();
+        const netNameLength = netEntrySize - 8;
+        const netName = this.reader.readString(netNameLength);
+        netIndexToName.set(netIndex, netName);
+      }
+      this.reader.endBlock(netListEnd);
+    } catch (error) {
+      if (error instanceof PCBParseError) throw error;
+      this.reader.resetLimit();
+      this.diagnostics.error(`Net list truncated: ${error.message}`, { offset: this.netBlockStart });
+    }
+
+    this.progress.report(7.5, 10, 'Parsing diode readings');
+    const diodeResult = this.parseDiodeReadings();
+
+    this.progress.report(9, 10, `Completed parsing ${blocks.length} blocks and ${netIndexToName.size} nets`);
+    
+    return {
+      blocks,
+      netIndexToName,
+      imageBlock,
+      diodeReadings: diodeResult.readings,
+      readingType: diodeResult.readingType,
+      readingTypeLabel: diodeResult.readingTypeLabel,
+      diodeOrder: diodeResult.order
+    };
+  }
+
+  // u32 size + body between the main data and the net list. Not decoded yet
+  // (board photo paths), but kept so the writer can put it back.
+  parseImageBlock() {
+    try {
+      this.reader.setOffset(this.imageBlockStart);
+      const size = this.reader.readUint32();
+      this.reader.ensureAvailable(size);
+      const start = this.reader.dataView.byteOffset + this.reader.getOffset();
+      return Array.from(new Uint8Array(this.reader.dataView.buffer, start, size));
+    } catch (error) {
+      this.diagnostics.error(`Image block truncated: ${error.message}`, { offset: this.imageBlockStart });
+      return [];
+    }
+  }
+
+  // Size field of the block starting at offset, or null if it can't be read
+  peekBlockSize(offset, endOffset) {
+    if (offset + 5 > Math.min(endOffset, this.reader.dataView.byteLength)) return null;
+    return this.reader.dataView.getUint32(offset + 1, true);
+  }
+
+  // A known sized block type whose size fits the data area and is followed by
+  // another block type byte, zero padding or the end of the area
+  isPlausibleBlock(offset, endOffset, blockHandlers) {
+    const view = this.reader.dataView;
+    const blockType = view.getUint8(offset);
+    if (!blockHandlers[blockType] ||
+        blockType === BLOCK_TYPES.PADDING_04 || blockType === BLOCK_TYPES.PADDING_08) {
+      return false;
+    }
+
+    const size = this.peekBlockSize(offset, endOffset);
+    if (!size) return false;
+    const next = offset + 5 + size;
+    if (next > endOffset) return false;
+    if (next === endOffset) return true;
+
+    const nextByte = view.getUint8(next);
+    return nextByte === 0 || !!blockHandlers[nextByte];
+  }
+
+  // Lenient mode: move to the next plausible block at or after `from` and
+  // report everything dropped since `skipStart` (the failed block's start)
+  resync(skipStart, from, endOffset, blockHandlers) {
+    const limit = Math.min(endOffset, this.reader.dataView.byteLength);
+    let offset = from;
+    while (offset < limit && !this.isPlausibleBlock(offset, limit, blockHandlers)) {
+      offset++;
+    }
+
+    this.diagnostics.warn(`Skipped ${offset - skipStart} bytes to resync`, { offset: skipStart, size: offset - skipStart });
+    this.reader.setOffset(offset);
+  }
+
+  parseDiodeReadings() {
+    const diodeReadings = new Map();
+    const order = [];
+    let readingType = 'Readings'; // default
+    let readingTypeLabel = null;
+    
+    const headerIndex = findSequence(this.reader.dataView, DIODE_BYTES.HEADER);
+    if (headerIndex === -1) {
+      return { readings: diodeReadings, readingType, readingTypeLabel, order };
+    }
+    readingTypeLabel = '';
+    
+    this.reader.setOffset(headerIndex + DIODE_BYTES.HEADER.length);
+    
+    // Skip past the === separator that immediately follows the HEADER
+    const separatorIndex = findSequence(this.reader.dataView, DIODE_BYTES.SEPARATOR);
+    if (separatorIndex !== -1 && separatorIndex >= this.reader.getOffset()) {
+      // Move past the === separator — the type string starts right after it
+      this.reader.setOffset(separatorIndex + DIODE_BYTES.SEPARATOR.length);
+      
+      // Read bytes until we hit the [0x0A, 0x3D] ('\n=') terminator
+      const typeBytes = [];
+      while (this.reader.hasMore()) {
+        const offset = this.reader.getOffset();
+        const b = this.reader.dataView.getUint8(offset);
+        // Check for the \n= terminator pair
+        if (b === 0x0A && offset + 1 < this.reader.dataView.byteLength &&
+            this.reader.dataView.getUint8(offset + 1) === 0x3D) {
+          break;
+        }
+        typeBytes.push(b);
+        this.reader.skip(1);
+      }
+      
+      readingTypeLabel = typeBytes.map(b => String.fromCharCode(b)).join('');
+      if (typeBytes.length > 0 && typeBytes.length <= 20) {
+        const typeString = readingTypeLabel;
+        if (DIODE_BYTES.READING_TYPES[typeString]) {
+          readingType = DIODE_BYTES.READING_TYPES[typeString];
+        }
+      }
+    }
+    
+    //this.reader.skip(4);
+    
+    // Determine unit label from reading type
+    const unit = (readingType === 'Diode' || readingType === 'Voltage') ? 'V' : 'V';
+    
+    // A truncated last entry keeps the readings before it
+    try {
+      while (this.reader.hasMore()) {
+        const nextByte = this.reader.readUint8();
+      
+        if (nextByte === DIODE_BYTES.PADDING) {
+          if (this.reader.hasMore() && this.reader.dataView.getUint8(this.reader.getOffset()) === DIODE_BYTES.PADDING) {
+            break;
+          }
+          continue;
+        }
+      
+        if (nextByte !== DIODE_BYTES.EQUALS) {
+          break;
+        }
+      
+        const rawValue = this.reader.readStringUntil(DIODE_BYTES.EQUALS);
+        this.reader.skip(1);
+        const partNumber = this.reader.readStringUntil(DIODE_BYTES.OPEN_PAREN);
+      
+        if (this.reader.readUint8() !== DIODE_BYTES.OPEN_PAREN) {
+          break;
+        }
+      
+        const pinNumber = this.reader.readStringUntil(DIODE_BYTES.CLOSE_PAREN);
+      
+        if (this.reader.readUint8() !== DIODE_BYTES.CLOSE_PAREN) {
+          break;
+        }
+      
+        if (!diodeReadings.has(partNumber)) {
+          diodeReadings.set(partNumber, new Map());
+        }
+      
+        // Values are stored as integer millivolts/milliohms — divide by 1000
+        const numericValue = parseFloat(rawValue) || 0;
+        const displayValue = (numericValue / 1000).toFixed(3);
+      
+        const partReadings = diodeReadings.get(partNumber);
+        order.push([partNumber, pinNumber]);
+        partReadings.set(pinNumber, {
+          value: numericValue / 1000,
+          rawValue,
+          displayValue: `${displayValue}${unit}`,
+          type: readingType
+        });
+      }
+    } catch (error) {
+      this.diagnostics.error(`Diode readings truncated: ${error.message}`, { offset: this.reader.getOffset() });
+    }
+    
+    return { readings: diodeReadings, readingType, readingTypeLabel, order };
+  }
+
+  applyXorDecryption() {
+    this.xorKey = this.reader.dataView.getUint8(FILE_HEADER.XOR_KEY_OFFSET);
+    if (this.xorKey === 0x00) {
+      return;
+    }
+
+    this.progress.report(0.5, 10, 'Applying XOR decryption');
+
+    const sequenceIndex = findSequence(this.reader.dataView, DIODE_BYTES.HEADER);
+    const xoredDataLength = sequenceIndex !== -1 ? sequenceIndex : this.reader.dataView.byteLength;
+
+    for (let i = 0; i < xoredDataLength; i++) {
+      const current = this.reader.dataView.getUint8(i);
+      this.reader.dataView.setUint8(i, current ^ this.xorKey);
+    }
+  }
+
+  parse(arrayBuffer) {
+    this.reader = new BinaryReader(arrayBuffer);
+    this.diagnostics = new ParseDiagnostics(this.options.strict);
+    this.progress.report(0, 10, 'Initializing parser');
+
+    this.applyXorDecryption();
+    this.parseFileHeader();
+    const parseResult = this.parseMainDataBlocks();
+
+    this.progress.report(10, 10, 'Parsing complete');
+
+    return {
+      main_data_blocks: parseResult.blocks,
+      net_index_to_name: parseResult.netIndexToName,
+      diode_readings: parseResult.diodeReadings,
+      reading_type: parseResult.readingType,
+      diagnostics: this.diagnostics.entries,
+      layout: {
+        xor_key: this.xorKey,
+        image_block: parseResult.imageBlock,
+        reading_type_label: parseResult.readingTypeLabel,
+        diode_order: parseResult.diodeOrder
+      }
+    };
+  }
+}
+
+class RawPCBParser extends PCBParser {
+  constructor(progressCallback = null, options = {}) {
+    super(progressCallback, options);
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.RawPCBParser = RawPCBParser;
+}
+
+
+// --- PCB writer ---
+const encryptor = new DESEncryptor();
+
+function writeArcBlock(writer, arc) {
+  writer.writeUint8(BLOCK_TYPES.ARC);
+  const sizeOffset = writer.beginBlock();
+  writer.writeUint32(arc.layer);
+  writer.writeUint32(arc.x1 * XY_SCALE);
+  writer.writeUint32(arc.y1 * XY_SCALE);
+  writer.writeInt32(arc.r * XY_SCALE);
+  writer.writeInt32(arc.angle_start * XY_SCALE);
+  writer.writeInt32(arc.angle_end * XY_SCALE);
+  writer.writeInt32(arc.scale * XY_SCALE);
+  writer.writeInt32(arc.net_index);
+  writer.endBlock(sizeOffset);
+}
+
+function writeViaBlock(writer, via) {
+  writer.writeUint8(BLOCK_TYPES.VIA);
+  const sizeOffset = writer.beginBlock();
+  writer.writeInt32(via.x * XY_SCALE);
+  writer.writeInt32(via.y * XY_SCALE);
+  writer.writeInt32(via.outer_radius * XY_SCALE);
+  writer.writeInt32(via.inner_radius * XY_SCALE);
+  writer.writeUint32(via.layer_a_index);
+  writer.writeUint32(via.layer_b_index);
+  writer.writeUint32(via.net_index);
+  writer.writeSizedString(via.via_text);
+  writer.endBlock(sizeOffset);
+}
+
+function writeSegmentBlock(writer, segment) {
+  writer.writeUint8(BLOCK_TYPES.SEGMENT);
+  const sizeOffset = writer.beginBlock();
+  writer.writeUint32(segment.layer);
+  writer.writeInt32(segment.x1 * XY_SCALE);
+  writer.writeInt32(segment.y1 * XY_SCALE);
+  writer.writeInt32(segment.x2 * XY_SCALE);
+  writer.writeInt32(segment.y2 * XY_SCALE);
+  writer.writeInt32(segment.scale * XY_SCALE);
+  writer.writeUint32(segment.net_index);
+  writer.endBlock(sizeOffset);
+}
+
+// text_length is recomputed from the text, like every other size field
+function writeTextBlock(writer, text) {
+  writer.writeUint8(BLOCK_TYPES.TEXT);
+  const sizeOffset = writer.beginBlock();
+  writer.writeUint32(text.unknown_1);
+  writer.writeUint32(text.pos_x * XY_SCALE);
+  writer.writeUint32(text.pos_y * XY_SCALE);
+  writer.writeUint32(text.text_size * XY_SCALE);
+  writer.writeUint32(text.divider);
+  writer.writeUint32(text.empty);
+  writer.writeUint16(text.one);
+  writer.writeSizedString(text.text);
+  writer.endBlock(sizeOffset);
+}
+
+// Re-encrypts parsed_data so edits to parts and pins are written; a block whose
+// payload could not be parsed is copied through from encrypted_data
+function writeDataBlock(writer, data) {
+  let encryptedData;
+  if (data.parsed_data) {
+    encryptedData = encryptor.encrypt(serializePartData(data.parsed_data));
+  } else if (data.encrypted_data) {
+    encryptedData = Uint8Array.from(data.encrypted_data);
+  } else {
+    throw new Error('DATA block has neither parsed_data nor encrypted_data to write');
+  }
+
+  writer.writeUint8(BLOCK_TYPES.DATA);
+  writer.writeUint32(encryptedData.length);
+  writer.writeBytes(encryptedData);
+}
+
+function writeTestPadBlock(writer, pad) {
+  writer.writeUint8(BLOCK_TYPES.TEST_PAD);
+  const sizeOffset = writer.beginBlock();
+  writePadRecord(writer, pad);
+  writer.endBlock(sizeOffset);
+}
+
+function writeUnknown03Block(writer, block) {
+  writer.writeUint8(BLOCK_TYPES.UNKNOWN_03);
+  const sizeOffset = writer.beginBlock();
+  writer.writeBytes(block.data || []);
+  writer.endBlock(sizeOffset);
+}
+
+// Inverse of parsePadRecord. Pins converted from legacy JSON have no un1, so
+// it falls back to the SMD / through-hole values seen in every sample.
+function writePadRecord(writer, pad) {
+  writer.writeUint32(pad.un1 ?? (pad.inner_diameter ? 34 : 1));
+  writer.writeUint32(pad.x * XY_SCALE);
+  writer.writeUint32(pad.y * XY_SCALE);
+  writer.writeUint32(pad.inner_diameter * XY_SCALE);
+  writer.writeUint32(pad.rotation * XY_SCALE);
+  writer.writeSizedString(pad.name);
+
+  const outlines = pad.outlines || [{ width: pad.width, height: pad.height, shape: pad.shape }];
+  for (const outline of outlines) {
+    writer.writeUint32(outline.width * XY_SCALE);
+    writer.writeUint32(outline.height * XY_SCALE);
+    writer.writeUint8(outline.shape);
+  }
+
+  writePadFooter(writer, pad);
+}
+
+// Always the tagged layout; parsePadFooter reads a reading size whenever 4 or
+// more bytes follow the net index, so the size slot is written in exactly
+// those cases and left out of the short 9-byte footer otherwise
+function writePadFooter(writer, pad) {
+  const subRecords = pad.sub_records || [];
+  const unknownInts = pad.unknown_ints || [];
+
+  writer.writeUint32(pad.outline_end || 0);
+  writer.writeUint8(PIN_SUB_TYPES.NET);
+  writer.writeUint32(pad.net_index);
+  if (pad.diode_reading || subRecords.length > 0 || unknownInts.length > 0) {
+    writer.writeSizedString(pad.diode_reading);
+  }
+
+  for (const record of subRecords) {
+    writer.writeUint8(record.sub_type);
+    writer.writeUint32(record.int1);
+    if (record.int2 !== undefined) writer.writeUint32(record.int2);
+  }
+
+  for (const value of unknownInts) writer.writeUint32(value);
+}
+
+// Plain part payload (before DES) for a PartData; part_size and every
+// sub-block size are recomputed. Each pin gets its own 0x09 sub-block.
+function serializePartData(partData) {
+  const writer = new BinaryWriter(0x400);
+  const header = partData.header;
+
+  writer.writeUint32(0); // part_size, filled in below
+  writer.writeUint32(header.unknown_1 ?? 1);
+  writer.writeUint32(header.part_x);
+  writer.writeUint32(header.part_y);
+  writer.writeUint32(header.part_rotation);
+  writer.writeUint8(header.visibility);
+  writer.writeUint8(header.unknown_2 || 0);
+  writer.writeSizedString(header.part_group_name);
+
+  for (const sub of partData.sub_blocks || []) {
+    if (sub.type === 'sub_type_09') {
+      for (const pin of sub.pins) {
+        writer.writeUint8(SUB_BLOCK_TYPES.PINS);
+        const sizeOffset = writer.beginBlock();
+        writePadRecord(writer, pin);
+        writer.endBlock(sizeOffset);
+      }
+      continue;
+    }
+
+    if (sub.type === 'sub_type_01') {
+      writer.writeUint8(SUB_BLOCK_TYPES.ARC);
+      const sizeOffset = writer.beginBlock();
+      writer.writeUint32(sub.layer);
+      writer.writeUint32(sub.x1 * XY_SCALE);
+      writer.writeUint32(sub.y1 * XY_SCALE);
+      writer.writeUint32(sub.radius * XY_SCALE);
+      writer.writeUint32(sub.angle_start * XY_SCALE);
+      writer.writeUint32(sub.angle_end * XY_SCALE);
+      writer.writeUint32(sub.scale * XY_SCALE);
+      writer.writeUint32(sub.unknown_arc * XY_SCALE);
+      writer.endBlock(sizeOffset);
+    } else if (sub.type === 'sub_type_05') {
+      writer.writeUint8(SUB_BLOCK_TYPES.SEGMENT);
+      const sizeOffset = writer.beginBlock();
+      writer.writeUint32(sub.layer);
+      writer.writeUint32(sub.x1 * XY_SCALE);
+      writer.writeUint32(sub.y1 * XY_SCALE);
+      writer.writeUint32(sub.x2 * XY_SCALE);
+      writer.writeUint32(sub.y2 * XY_SCALE);
+      writer.writeUint32(sub.scale * XY_SCALE);
+      writer.writeUint32(sub.unknown_segment || 0);
+      writer.endBlock(sizeOffset);
+    } else if (sub.type === 'sub_type_06') {
+      writer.writeUint8(SUB_BLOCK_TYPES.LABEL);
+      const sizeOffset = writer.beginBlock();
+      writer.writeUint32(sub.layer);
+      writer.writeUint32(sub.x * XY_SCALE);
+      writer.writeUint32(sub.y * XY_SCALE);
+      writer.writeUint32(sub.font_size * XY_SCALE);
+      writer.writeUint32(sub.font_scale * XY_SCALE);
+      writer.writeUint32(sub.font_rotation * XY_SCALE);
+      writer.writeUint8(sub.visibility);
+      writer.writeUint8(sub.unknown_1 || 0);
+      writer.writeSizedString(sub.label);
+      writer.endBlock(sizeOffset);
+    } else {
+      throw new Error(`Cannot write part sub-block of type ${sub.type}`);
+    }
+  }
+
+  writer.writeUint32At(0, writer.getOffset() - 4);
+  return writer.toUint8Array();
+}
+
+/**
+ * Serializes a ParsedPCB back to an XZZPCB V1.0 file: header offsets, main
+ * data blocks (parts DES-encrypted again), image block, net list and diode
+ * readings, then the optional XOR layer over everything before the diode
+ * section. All sizes come from the model, so edited net names, part data and
+ * readings stay consistent; `layout` supplies what the model doesn't carry.
+ * A straight parse -> write reproduces the input file byte for byte.
+ */
+class PCBWriter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.xorKey] - XOR key byte; defaults to the source file's
+   *   layout.xor_key, and 0 writes an un-XORed file
+   */
+  constructor(options = {}) {
+    this.options = { ...options };
+    this.writer = null;
+  }
+
+  /**
+   * @param {ParsedPCB} pcbData - parser output, or normalizePcbData() of its JSON
+   * @returns {Uint8Array}
+   */
+  write(pcbData) {
+    const layout = pcbData.layout || {};
+    const xorKey = this.options.xorKey ?? layout.xor_key ?? 0;
+    this.writer = new BinaryWriter();
+
+    this.writer.writeBytes(this.writer.encodeString(FILE_HEADER.EXPECTED));
+    this.writer.writeBytes(new Uint8Array(FILE_HEADER.DATA_START_OFFSET - this.writer.getOffset()));
+    this.writer.writeUint32At(FILE_HEADER.MAIN_DATA_OFFSET,
+      FILE_HEADER.MAIN_DATA_SIZE_OFFSET - FILE_HEADER.HEADER_ADJUST);
+
+    this.writeMainDataBlocks(pcbData.main_data_blocks || []);
+    this.writer.writeUint32At(FILE_HEADER.MAIN_DATA_SIZE_OFFSET,
+      this.writer.getOffset() - FILE_HEADER.DATA_START_OFFSET);
+
+    this.writer.writeUint32At(FILE_HEADER.IMAGE_BLOCK_OFFSET, this.writer.getOffset() - FILE_HEADER.HEADER_ADJUST);
+    const imageSizeOffset = this.writer.beginBlock();
+    this.writer.writeBytes(layout.image_block || []);
+    this.writer.endBlock(imageSizeOffset);
+
+    this.writer.writeUint32At(FILE_HEADER.NET_BLOCK_OFFSET, this.writer.getOffset() - FILE_HEADER.HEADER_ADJUST);
+    this.writeNetList(toNetIndexMap(pcbData.net_index_to_name));
+
+    // The header byte at XOR_KEY_OFFSET is 0 here, so XORing stores the key there
+    const xoredDataLength = this.writer.getOffset();
+    this.writeDiodeReadings(pcbData, layout);
+
+    const bytes = this.writer.toUint8Array();
+    if (xorKey !== 0) {
+      for (let i = 0; i < xoredDataLength; i++) bytes[i] ^= xorKey;
+    }
+    return bytes;
+  }
+
+  writeMainDataBlocks(blocks) {
+    const blockWriters = {
+      ARC: arc => writeArcBlock(this.writer, arc),
+      VIA: via => writeViaBlock(this.writer, via),
+      UNKNOWN_03: block => writeUnknown03Block(this.writer, block),
+      SEGMENT: segment => writeSegmentBlock(this.writer, segment),
+      TEXT: text => writeTextBlock(this.writer, text),
+      DATA: data => writeDataBlock(this.writer, data),
+      TEST_PAD: pad => writeTestPadBlock(this.writer, pad)
+    };
+
+    for (const block of blocks) {
+      const [type, value] = Object.entries(block)[0] || [];
+      const blockWriter = blockWriters[type];
+      if (!blockWriter) {
+        throw new Error(`Cannot write block of type ${type}`);
+      }
+      blockWriter(value);
+    }
+  }
+
+  writeNetList(netIndexToName) {
+    const sizeOffset = this.writer.beginBlock();
+    for (const [netIndex, netName] of netIndexToName) {
+      const nameBytes = this.writer.encodeString(netName);
+      this.writer.writeUint32(8 + nameBytes.length);
+      this.writer.writeUint32(netIndex);
+      this.writer.writeBytes(nameBytes);
+    }
+    this.writer.endBlock(sizeOffset);
+  }
+
+  // "v6v6555v6v6===<type>\n" then "=<value>=<part>(<pin>)\n" per reading: those
+  // in layout.diode_order first, in file order, then any added since
+  writeDiodeReadings(pcbData, layout) {
+    const readings = toDiodeReadingsMap(pcbData.diode_readings);
+    let typeLabel = layout.reading_type_label ?? null;
+    if (typeLabel === null) {
+      if (readings.size === 0) return;
+      typeLabel = readingTypeLabelFor(pcbData.reading_type);
+    }
+
+    const entries = [];
+    const written = new Set();
+    const addEntry = (part, pin) => {
+      const key = `${part}\u0000${pin}`;
+      const reading = readings.has(part) ? readings.get(part).get(pin) : undefined;
+      if (!reading || written.has(key)) return;
+      written.add(key);
+      const rawValue = reading.rawValue ?? String(Math.round(reading.value * 1000));
+      entries.push(`=${rawValue}=${part}(${pin})\n`);
+    };
+    for (const [part, pin] of layout.diode_order || []) addEntry(part, pin);
+    for (const [part, pins] of readings) {
+      for (const pin of pins.keys()) addEntry(part, pin);
+    }
+
+    this.writer.writeBytes(DIODE_BYTES.HEADER);
+    this.writer.writeBytes(DIODE_BYTES.SEPARATOR);
+    this.writer.writeBytes(Array.from(typeLabel, ch => ch.charCodeAt(0) & 0xff));
+    this.writer.writeUint8(DIODE_BYTES.PADDING);
+    this.writer.writeBytes(this.writer.encodeString(entries.join('')));
+  }
+}
+
+// Raw type string for a reading_type name; unknown types are written as resistance
+function readingTypeLabelFor(readingType) {
+  const labels = Object.keys(DIODE_BYTES.READING_TYPES);
+  return labels.find(label => DIODE_BYTES.READING_TYPES[label] === readingType) || labels[0];
+}
+
+
+// --- JSON helpers ---
+// JSON.stringify replacer: Maps (net_index_to_name, diode_readings) become plain objects
+function pcbJsonReplacer(key, value) {
+  return value instanceof Map ? Object.fromEntries(value) : value;
+}
+
+function toNetIndexMap(nets) {
+  if (nets instanceof Map) return nets;
+  if (!nets) return new Map();
+  return new Map(Object.entries(nets).map(([index, name]) => [Number(index), name]));
+}
+
+function toDiodeReadingsMap(readings) {
+  if (readings instanceof Map) return readings;
+  if (!readings) return new Map();
+  return new Map(Object.entries(readings).map(([part, pins]) =>
+    [part, pins instanceof Map ? pins : new Map(Object.entries(pins))]
+  ));
+}
+
+// Pins from the old part_data_parser.js / ImHex pattern used pin_* names and netIndex
+function isLegacyPin(pin) {
+  return 'pin_name' in pin || 'pin_shape' in pin;
+}
+
+function normalizeLegacyPin(pin) {
+  if (!isLegacyPin(pin)) return pin;
+
+  const { un2, pin_rotation, pin_name_size, pin_name, pin_shape, netIndex, ...rest } = pin;
+  const innerDiameter = rest.inner_diameter ?? un2 ?? 0;
+  return {
+    ...rest,
+    inner_diameter: innerDiameter,
+    rotation: rest.rotation ?? pin_rotation ?? 0,
+    name_size: rest.name_size ?? pin_name_size ?? 0,
+    name: rest.name ?? pin_name ?? '',
+    shape: rest.shape ?? pin_shape ?? 0,
+    outlines: rest.outlines || [{ width: rest.width || 0, height: rest.height || 0, shape: pin_shape ?? 0 }],
+    net_index: rest.net_index ?? netIndex ?? 0,
+    isThruHole_pin: innerDiameter !== 0
+  };
+}
+
+function normalizeLegacyBlock(block) {
+  if (block.SEGMENT && block.SEGMENT.net_index === undefined && 'trace_net_index' in block.SEGMENT) {
+    const { trace_net_index, ...segment } = block.SEGMENT;
+    return { SEGMENT: { ...segment, net_index: trace_net_index } };
+  }
+
+  if (block.ARC && block.ARC.net_index === undefined && 'unknown_arc' in block.ARC) {
+    const { unknown_arc, ...arc } = block.ARC;
+    return { ARC: { ...arc, net_index: unknown_arc } };
+  }
+
+  const parsedData = block.DATA && block.DATA.parsed_data;
+  const hasLegacyPins = parsedData && Array.isArray(parsedData.sub_blocks) &&
+    parsedData.sub_blocks.some(sub => Array.isArray(sub.pins) && sub.pins.some(isLegacyPin));
+  if (hasLegacyPins) {
+    return {
+      DATA: {
+        ...block.DATA,
+        parsed_data: {
+          ...parsedData,
+          sub_blocks: parsedData.sub_blocks.map(sub =>
+            Array.isArray(sub.pins) ? { ...sub, pins: sub.pins.map(normalizeLegacyPin) } : sub
+          )
+        }
+      }
+    };
+  }
+
+  return block;
+}
+
+/**
+ * Bring JSON from older tools into the ParsedPCB shape documented above:
+ * ImHex XZZPCB pattern exports and the retired raw_parser.js (`main_data_block`,
+ * `trace_net_index`, `unknown_arc`, pin_* fields, empty placeholder blocks) and
+ * pcb_to_json.js output (Maps written as objects). Parser output passes through
+ * unchanged, so it is safe to call on anything handed to a renderer.
+ * @param {Object} json
+ * @returns {ParsedPCB}
+ */
+function normalizePcbData(json) {
+  if (!json) return json;
+
+  const { main_data_block, ...rest } = json;
+  const blocks = json.main_data_blocks || main_data_block || [];
+
+  return {
+    ...rest,
+    main_data_blocks: blocks
+      .filter(block => block && Object.keys(block).length > 0)
+      .map(normalizeLegacyBlock),
+    net_index_to_name: toNetIndexMap(json.net_index_to_name),
+    diode_readings: toDiodeReadingsMap(json.diode_readings)
+  };
+}
+
+
+// --- Layers and board sides ---
+// SEGMENT/ARC layer numbers: copper runs from 1 (bottom) up to 16 (top), inner
+// layers numbered from 2 upwards; 17 is silkscreen, 28 the board outline and 29
+// part outlines. XZZPCB boards are drawn unfolded: the outline appears twice,
+// mirrored, with the bottom side on the left half and the top side on the right.
+const COPPER_BOTTOM_LAYER = 1;
+const COPPER_TOP_LAYER = 16;
+const SILKSCREEN_LAYER = 17;
+const OUTLINE_LAYER = 28;
+const PART_OUTLINE_LAYER = 29;
+
+// Raw coordinates and sizes are 1/10000 mil. perRaw converts to each display unit,
+// digits is the precision worth showing at that unit.
+const RAW_UNITS_PER_MIL = 10000;
+const LENGTH_UNITS = {
+  mm: { perRaw: 0.0254 / RAW_UNITS_PER_MIL, digits: 3 },
+  mil: { perRaw: 1 / RAW_UNITS_PER_MIL, digits: 1 },
+  inch: { perRaw: 1 / (1000 * RAW_UNITS_PER_MIL), digits: 4 }
+};
+
+// Raw length in mm, mil or inch; unknown units give mil
+function convertLength(raw, units) {
+  return raw * (LENGTH_UNITS[units] || LENGTH_UNITS.mil).perRaw;
+}
+
+/**
+ * x of the fold between the two board halves, midway across the outline
+ * segments; anything right of it is on the top side. The viewer's board
+ * folding and the exporters share this split.
+ * @param {Object[]} blocks - main_data_blocks
+ * @returns {number|null} null when the board has no outline
+ */
+function findFoldAxis(blocks) {
+  let minX = Infinity, maxX = -Infinity;
+  for (const block of blocks) {
+    if (block.SEGMENT && block.SEGMENT.layer === OUTLINE_LAYER) {
+      minX = Math.min(minX, block.SEGMENT.x1, block.SEGMENT.x2);
+      maxX = Math.max(maxX, block.SEGMENT.x1, block.SEGMENT.x2);
+    }
+  }
+  return minX === Infinity ? null : (minX + maxX) / 2;
+}
+
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PCBParser,
+    RawPCBParser,
+    PartDataParser,
+    ParseDiagnostics,
+    PCBParseError,
+    PCBWriter,
+    BinaryReader,
+    BinaryWriter,
+    DESDecryptor,
+    DESEncryptor,
+    ProgressReporter,
+    XY_SCALE,
+    MASTER_KEY,
+    FILE_HEADER,
+    BLOCK_TYPES,
+    SUB_BLOCK_TYPES,
+    PIN_SUB_TYPES,
+    DIODE_BYTES,
+    READ_LIMITS,
+    COPPER_BOTTOM_LAYER,
+    COPPER_TOP_LAYER,
+    SILKSCREEN_LAYER,
+    OUTLINE_LAYER,
+    PART_OUTLINE_LAYER,
+    RAW_UNITS_PER_MIL,
+    LENGTH_UNITS,
+    convertLength,
+    blockTypeName,
+    findFoldAxis,
+    hexToBytes,
+    findSequence,
+    pcbJsonReplacer,
+    normalizePcbData,
+    toNetIndexMap,
+    serializePartData
+  };
+}
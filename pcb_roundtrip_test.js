@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/* pcb_roundtrip_test.js
+ * Round-trip check for PCBWriter (npm test): every .pcb under sample-data is
+ * parsed, written back, and must come out byte-identical to the original -
+ * both straight from the parser and through the JSON that pcb_to_json.js
+ * writes and --to-pcb reads back.
+ *
+ * Usage: node pcb_roundtrip_test.js [file|dir]...   (default: sample-data)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PCBWriter, pcbJsonReplacer, normalizePcbData } = require('./pcb_parser.js');
+const { findInputFiles, parsePcbFile } = require('./pcb_to_json.js');
+
+// Offset of the first differing byte, or -1 when the buffers match
+function firstDifference(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return i;
+  }
+  return a.length === b.length ? -1 : length;
+}
+
+function checkRoundTrip(filePath) {
+  const original = fs.readFileSync(filePath);
+  const pcbData = parsePcbFile(filePath, true);
+  const fromJson = normalizePcbData(JSON.parse(JSON.stringify(pcbData, pcbJsonReplacer)));
+
+  const problems = [];
+  for (const [route, data] of [['parser', pcbData], ['json', fromJson]]) {
+    const written = new PCBWriter().write(data);
+    const offset = firstDifference(original, written);
+    if (offset >= 0) {
+      problems.push(`${route}: differs at 0x${offset.toString(16)} (${written.length} bytes written, ${original.length} expected)`);
+    }
+  }
+  return problems;
+}
+
+function main() {
+  const inputs = process.argv.slice(2);
+  const files = (inputs.length ? inputs : [path.join(__dirname, 'sample-data')]).flatMap(input =>
+    fs.statSync(input).isDirectory() ? findInputFiles(input, true, '.pcb') : [input]);
+
+  if (files.length === 0) {
+    console.error('No .pcb files found');
+    return 1;
+  }
+
+  let failures = 0;
+  for (const filePath of files) {
+    let problems;
+    try {
+      problems = checkRoundTrip(filePath);
+    } catch (err) {
+      problems = [err.message];
+    }
+    if (problems.length) {
+      failures++;
+      for (const problem of problems) console.error(`FAIL ${filePath}: ${problem}`);
+    } else {
+      console.log(`ok   ${filePath}`);
+    }
+  }
+
+  console.log(`${files.length - failures}/${files.length} files round-trip byte-identically`);
+  return failures > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/* pcb_to_json.js
+ * Command-line front end for pcb_parser.js: converts XZZPCB .pcb files to JSON
+ * without a browser, with --to-pcb writes (edited) JSON back to .pcb, and with
+ * --to-brd / --to-gencad export .pcb files for OpenBoardView or CAM and fixture
+ * tools (board_export.js).
+ *
+ * Usage: node pcb_to_json.js [options] <file|dir>...   (see --help)
+ *   node pcb_to_json.js --no-raw -r -o out/ sample-data/Switch
+ *   node pcb_to_json.js --to-pcb -o fixed.pcb board.json
+ *   node pcb_to_json.js --to-brd -r -o brd/ sample-data
+ *   node pcb_to_json.js --to-gencad -o board.cad board.pcb
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PCBParser, PCBWriter, pcbJsonReplacer, normalizePcbData } = require('./pcb_parser.js');
+const { exportBrd2, exportGenCad } = require('./board_export.js');
+
+const USAGE = `Usage: node pcb_to_json.js [options] <file|dir>...
+
+  -o, --out <path>   Output file (single input) or directory (several inputs)
+  -r, --recursive    Descend into subdirectories of directory inputs
+      --no-raw       Leave out DATA blocks' encrypted_data/decrypted_data arrays
+      --pretty       Indent the JSON output
+      --strict       Fail a file on its first parse error instead of resyncing
+      --to-pcb       Convert JSON inputs (from this tool) back to .pcb; existing
+                     files are only replaced when named with -o
+      --no-xor       With --to-pcb, leave out the XOR layer
+      --to-brd       Export .pcb inputs as OpenBoardView .brd (BRD2) files
+      --to-gencad    Export .pcb inputs as GenCAD 1.4 .cad files
+  -q, --quiet        Only report errors
+  -h, --help         Show this help`;
+
+function parseArgs(argv) {
+  const args = {
+    inputs: [],
+    out: null,
+    recursive: false,
+    includeRawData: true,
+    strict: false,
+    toPcb: false,
+    toBrd: false,
+    toGenCad: false,
+    noXor: false,
+    pretty: false,
+    quiet: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-o':
+      case '--out':
+        if (i + 1 >= argv.length) throw new Error(`${arg} needs a path`);
+        args.out = argv[++i];
+        break;
+      case '-r':
+      case '--recursive':
+        args.recursive = true;
+        break;
+      case '--no-raw':
+        args.includeRawData = false;
+        break;
+      case '--pretty':
+        args.pretty = true;
+        break;
+      case '--strict':
+        args.strict = true;
+        break;
+      case '--to-pcb':
+        args.toPcb = true;
+        break;
+      case '--to-brd':
+        args.toBrd = true;
+        break;
+      case '--to-gencad':
+        args.toGenCad = true;
+        break;
+      case '--no-xor':
+        args.noXor = true;
+        break;
+      case '-q':
+      case '--quiet':
+        args.quiet = true;
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+        args.inputs.push(arg);
+    }
+  }
+
+  if (args.toPcb + args.toBrd + args.toGenCad > 1) {
+    throw new Error('Only one of --to-pcb, --to-brd and --to-gencad can be given');
+  }
+  return args;
+}
+
+function findInputFiles(dir, recursive, extension) {
+  const files = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) files.push(...findInputFiles(fullPath, recursive, extension));
+    } else if (entry.isFile() && path.extname(entry.name).toLowerCase() === extension) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+function parsePcbFile(filePath, includeRawData, strict = false) {
+  const fileBuffer = fs.readFileSync(filePath);
+  // The parser XORs the buffer in place, so hand it a private copy
+  const arrayBuffer = fileBuffer.buffer.slice(
+    fileBuffer.byteOffset,
+    fileBuffer.byteOffset + fileBuffer.byteLength
+  );
+  return new PCBParser(null, { includeRawData, strict }).parse(arrayBuffer);
+}
+
+function writePcbFile(jsonPath, outPath, xorKey) {
+  const pcbData = normalizePcbData(JSON.parse(fs.readFileSync(jsonPath, 'utf8')));
+  const bytes = new PCBWriter({ xorKey }).write(pcbData);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, bytes);
+  return bytes.length;
+}
+
+function formatDiagnostic(filePath, entry) {
+  const where = entry.offset !== null ? ` @0x${entry.offset.toString(16)}` : '';
+  const inner = entry.sub_offset !== undefined ? `+0x${entry.sub_offset.toString(16)}` : '';
+  return `${filePath}: ${entry.level}${where}${inner}: ${entry.message}`;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (args.help || args.inputs.length === 0) {
+    console.log(USAGE);
+    return args.help ? 0 : 2;
+  }
+
+  const inExtension = args.toPcb ? '.json' : '.pcb';
+  const outExtension = args.toPcb ? '.pcb' : args.toBrd ? '.brd' : args.toGenCad ? '.cad' : '.json';
+  const swapExtension = file =>
+    (path.extname(file).toLowerCase() === inExtension ? file.slice(0, -inExtension.length) : file) + outExtension;
+
+  // Each job is { input, fromDir } so directory contents keep their relative layout under --out
+  const jobs = [];
+  for (const input of args.inputs) {
+    if (!fs.existsSync(input)) {
+      console.error(`Not found: ${input}`);
+      return 1;
+    }
+    if (fs.statSync(input).isDirectory()) {
+      for (const file of findInputFiles(input, args.recursive, inExtension)) {
+        jobs.push({ input: file, fromDir: input });
+      }
+    } else {
+      jobs.push({ input, fromDir: null });
+    }
+  }
+
+  if (jobs.length === 0) {
+    console.error(`No ${inExtension} files found`);
+    return 1;
+  }
+
+  const toStdout = !args.toPcb && !args.out && jobs.length === 1 && jobs[0].fromDir === null;
+  const singleOutFile = args.out && jobs.length === 1 && jobs[0].fromDir === null;
+  const indent = args.pretty ? 2 : 0;
+  let failures = 0;
+
+  for (const job of jobs) {
+    let outPath = null;
+    if (singleOutFile) {
+      outPath = args.out;
+    } else if (args.out) {
+      const relative = job.fromDir ? path.relative(job.fromDir, job.input) : path.basename(job.input);
+      outPath = path.join(args.out, swapExtension(relative));
+    } else if (!toStdout) {
+      outPath = swapExtension(job.input);
+    }
+
+    if (args.toPcb) {
+      if (!singleOutFile && fs.existsSync(outPath)) {
+        failures++;
+        console.error(`Not overwriting ${outPath}; name it with -o to replace it`);
+        continue;
+      }
+      try {
+        const size = writePcbFile(job.input, outPath, args.noXor ? 0 : undefined);
+        if (!args.quiet) console.error(`${job.input} -> ${outPath} (${size} bytes)`);
+      } catch (error) {
+        failures++;
+        console.error(`Failed to write ${outPath}: ${error.message}`);
+      }
+      continue;
+    }
+
+    try {
+      const result = parsePcbFile(job.input, args.includeRawData, args.strict);
+      const output = args.toBrd ? exportBrd2(result)
+        : args.toGenCad ? exportGenCad(result, { drawing: path.basename(job.input, path.extname(job.input)) })
+          : JSON.stringify(result, pcbJsonReplacer, indent);
+
+      for (const entry of result.diagnostics) {
+        if (!args.quiet || entry.level === 'error') console.error(formatDiagnostic(job.input, entry));
+      }
+
+      if (outPath) {
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, output);
+        if (!args.quiet) {
+          console.error(`${job.input} -> ${outPath} (${result.main_data_blocks.length} blocks, ${result.net_index_to_name.size} nets)`);
+        }
+      } else {
+        process.stdout.write(args.toBrd || args.toGenCad ? output : output + '\n');
+      }
+    } catch (error) {
+      failures++;
+      console.error(`Failed to parse ${job.input}: ${error.message}`);
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { findInputFiles, parsePcbFile, writePcbFile };
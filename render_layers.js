@@ -32,7 +32,8 @@ function renderSegments(json) {
   const OUTLINE_LAYER = 28;
   const PART_OUTLINES_LAYER = 29; // New layer for part outlines
 
-  const raw = json?.main_data_block || [];
+  // Accept older ImHex / raw_parser.js JSON exports as well as parser output
+  const raw = normalizePcbData(json)?.main_data_blocks || [];
   const segments = [];
   const arcs = [];
   const vias = [];
@@ -287,12 +288,12 @@ function renderSegments(json) {
         var height = pin.height || 10000;
 
         // Check if the pin is rectangular, or circular
-        if (pin.pin_shape == 2) { // Rectangular pin
+        if (pin.shape == 2) { // Rectangular pin
             // Create a group for the pin to handle transformations
             const pinGroup = createSvgElement('g');
             
             // Convert rotations to degrees and invert them
-            const pin_rotation = -((pin.pin_rotation || 0) / 10000); // Convert to degrees and invert
+            const pin_rotation = -((pin.rotation || 0) / 10000); // Convert to degrees and invert
             const total_rotation = (pin_rotation) % 360;
             
             // Create rectangle centered at origin
@@ -315,7 +316,7 @@ function renderSegments(json) {
             type07Overlay.appendChild(pinGroup);
             type07Elements.push(pinGroup);
         }
-        else if (pin.pin_shape == 1){
+        else if (pin.shape == 1){
         // Use average of width and height for circle size with better bounds checking
         const pinSize = Math.min(width,height)/2;
         const radius = Math.max(Math.min(pinSize * scale, 20), 0.1); // Clamp between 0.001 and 1
@@ -503,7 +504,7 @@ fetch('switch2.json')
       const reader = new FileReader();
       
       if (file.name.toLowerCase().endsWith('.pcb')) {
-        // Handle .pcb file using raw parser
+        // Handle .pcb file using the shared parser
         reader.onload = e => {
           try {
             const arrayBuffer = e.target.result;